@@ -3,29 +3,44 @@ import 'dotenv/config';
  * Product Minds - Case Study Generator
  *
  * Main orchestrator that:
- * 1. Determines which source to scrape based on day rotation
+ * 1. Picks the registered source the content buffer needs most
+ *    (day-of-week rotation as a fallback)
  * 2. Fetches raw content from the source
- * 3. Transforms it via Groq API (Llama) into a story-driven case study
+ * 3. Transforms it via the configured LLM provider (Groq by default) into a story-driven case study
  * 4. Checks for duplicates
- * 5. Stores in Supabase
+ * 5. Checks the story's figures, dates and names against the source
+ * 6. Stores in Supabase
  *
  * Uses image_prompt field for themed SVG image generation.
+ * Each step is checkpointed on its generation_logs row so a failed run
+ * can be resumed without re-fetching or re-prompting the model.
  */
 
-import Groq from 'groq-sdk';
 import { createClient } from '@supabase/supabase-js';
-import { fetchFromWikipedia } from './sources/wikipedia.js';
-import { fetchFromTechCrunch } from './sources/techcrunch.js';
-import { fetchFromHackerNews } from './sources/hackernews.js';
-import { fetchFromCompanyBlogs } from './sources/company-blogs.js';
-import { fetchFromSECEdgar } from './sources/sec-edgar.js';
-import { fetchFromProductHunt } from './sources/producthunt.js';
-import { fetchFromArchiveOrg } from './sources/archive-org.js';
-import { generateFrameworkCase } from './sources/framework-cases.js';
+import { loadSources, getSource, getSourceTypes } from './sources/registry.js';
 import { assembleSystemPrompt, getPromptVersionHash } from './prompts/prompt-assembler.js';
-import { getGroqModel, getGroqMaxTokens, preloadConfigs } from './config/config-loader.js';
+import { formatAssignments } from './prompts/prompt-experiments.js';
+import { getConfig, getGroqModel, getGroqMaxTokens, getGroundingPolicy, getContentBudget, getGenerationParams, getModelFallbacks, preloadConfigs } from './config/config-loader.js';
 import { checkDuplication, generateEmbedding } from './utils/deduplication.js';
 import { generateImageFromPrompt } from './utils/chart-generator.js';
+import { planSources } from './utils/source-selector.js';
+import { mapWithConcurrency, waitForRateLimit, pauseForRateLimit, isRateLimitError, getRetryAfterMs } from './utils/concurrency.js';
+import { ErrorClasses, GenerationError, classifyError, formatError, withRetry } from './utils/errors.js';
+import { saveFixture, loadFixture } from './utils/fixtures.js';
+import { writeDryRunArtifacts } from './utils/dry-run-artifacts.js';
+import { checkSpendBudget, recordSpend, calculateCost } from './utils/spend-governor.js';
+import { selectCandidate } from './utils/candidate-screener.js';
+import { buildJudgeMessages, parseJudgement } from './utils/variant-judge.js';
+import { normalizeCaseStudy, validateCaseStudy, buildRepairPrompt } from './utils/case-schema.js';
+import { CONTINUE_PROMPT, buildSectionPrompt, groupsForErrors } from './prompts/section-prompts.js';
+import { checkGrounding } from './utils/grounding.js';
+import { estimateTokens, computeContentBudget, fitContent } from './utils/content-budget.js';
+import { loadLlmProvider, getLlmProvider, getProviderByName } from './llm/providers.js';
+import { loadModelCatalog, getModelInfo, clampMaxTokens } from './llm/model-catalog.js';
+import {
+  DEFAULT_CACHE_DIR, configureResponseCache, isResponseCacheEnabled,
+  readCachedResponse, writeCachedResponse, removeCachedResponse, getResponseCacheStats,
+} from './llm/response-cache.js';
 import crypto from 'crypto';
 
 // Cached prompt and version hash
@@ -33,17 +48,42 @@ let cachedPrompt = null;
 let cachedPromptHash = null;
 
 // Validate required environment variables
-const requiredEnvVars = ['GROQ_API_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'];
+// (provider credentials such as GROQ_API_KEY are checked by the provider)
+const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     throw new Error(`Missing required environment variable: ${envVar}`);
   }
 }
 
-// Initialize clients
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+// How many times one call waits out a 429 before giving up
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Candidates transformed per case before a duplicate is logged as skipped
+const MAX_CANDIDATE_ATTEMPTS = 3;
+
+// Follow-up calls asking the model to fix schema errors before a transform fails
+const MAX_SCHEMA_REPAIRS = 2;
+
+// Follow-up calls that continue a response cut off at max_tokens
+const MAX_CONTINUATIONS = 2;
+
+// Upper bound for --variants (each variant is a full transform call)
+export const MAX_VARIANTS = 5;
+
+// Output budget for the judge's JSON scores
+const JUDGE_MAX_TOKENS = 1500;
+
+// Transform temperature when generation_params doesn't set one
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Transform failures worth another model call (429s are handled by createChatCompletion)
+const TRANSFORM_RETRY_CLASSES = [
+  ErrorClasses.NETWORK_TIMEOUT,
+  ErrorClasses.NETWORK,
+  ErrorClasses.SERVER,
+  ErrorClasses.JSON_PARSE,
+];
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -52,13 +92,8 @@ const supabase = createClient(
 
 // Model configuration (defaults, can be overridden from DB)
 let MODEL_CONFIG = {
-  model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+  model: process.env.LLM_MODEL || process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
   maxTokens: 4000, // Increased for structured interview template output
-  // Groq pricing for llama-3.3-70b-versatile
-  pricing: {
-    input: 0.00059,   // $0.59 per million input tokens
-    output: 0.00079,  // $0.79 per million output tokens
-  },
 };
 
 /**
@@ -75,22 +110,43 @@ async function loadDynamicConfig() {
       getGroqMaxTokens(),
     ]);
 
-    MODEL_CONFIG.model = model;
+    // LLM_MODEL lets a local provider use its own model names without
+    // changing the shared groq_model config
+    MODEL_CONFIG.model = process.env.LLM_MODEL || model;
     MODEL_CONFIG.maxTokens = maxTokens;
 
     console.log(`📋 Loaded dynamic config: model=${MODEL_CONFIG.model}, maxTokens=${MODEL_CONFIG.maxTokens}`);
   } catch (error) {
     console.warn(`⚠️ Failed to load dynamic config, using defaults: ${error.message}`);
   }
+
+  // Outside the try: a misconfigured provider should stop the run
+  const provider = await loadLlmProvider();
+  console.log(`🔌 LLM provider: ${provider.name}`);
+
+  await loadModelCatalog();
+  const modelInfo = getModelInfo(MODEL_CONFIG.model);
+  console.log(`💲 ${MODEL_CONFIG.model}: $${modelInfo.input}/$${modelInfo.output} per 1M tokens, ${modelInfo.contextWindow.toLocaleString()}-token context (${modelInfo.source})`);
 }
 
 /**
  * Get the assembled system prompt (with caching)
+ * Active prompt experiments are assigned once per run; each case then
+ * renders the templated sections with its own variables.
+ * @param {Object|null} experimentAssignments - Experiment -> variant to reuse
+ * @param {Object|null} variables - Template variables (see buildPromptVariables); null
+ *   leaves templates unrendered
+ * @returns {Promise<{prompt: string, versionHash: string, experiments: Object}>}
  */
-async function getSystemPrompt(sourceType) {
+async function getSystemPrompt(experimentAssignments = null, variables = null) {
   try {
     // Assemble from database sections
-    const { prompt, versionHash, error } = await assembleSystemPrompt({ throwOnError: false });
+    const { prompt, versionHash, experiments, error } = await assembleSystemPrompt({
+      throwOnError: false,
+      experiments: true,
+      experimentAssignments,
+      variables,
+    });
 
     if (error) {
       throw new Error(error);
@@ -103,23 +159,16 @@ async function getSystemPrompt(sourceType) {
     cachedPrompt = prompt;
     cachedPromptHash = versionHash;
 
-    return { prompt, versionHash };
+    return { prompt, versionHash, experiments };
   } catch (error) {
     console.error(`❌ Prompt assembly failed: ${error.message}`);
     throw new Error(`Cannot generate cases without valid prompt configuration. Please run migrations to seed prompt sections. Error: ${error.message}`);
   }
 }
 
-// Source rotation configuration
-const SOURCE_ROTATION = {
-  0: { type: 'framework_classic', fetcher: generateFrameworkCase, name: 'Framework Deep-dive' },
-  1: { type: 'historical_wikipedia', fetcher: fetchFromWikipedia, name: 'Wikipedia Historical' },
-  2: { type: 'historical_archive', fetcher: fetchFromArchiveOrg, name: 'Archive.org Historical' },
-  3: { type: 'live_news_techcrunch', fetcher: fetchFromTechCrunch, name: 'TechCrunch News' },
-  4: { type: 'live_news_hackernews', fetcher: fetchFromHackerNews, name: 'Hacker News' },
-  5: { type: 'company_blog', fetcher: fetchFromCompanyBlogs, name: 'Company Blogs' },
-  6: { type: 'company_sec_filing', fetcher: fetchFromSECEdgar, name: 'SEC Filings' },
-};
+// Pipeline stages, in order. Each stage's output is checkpointed on the
+// generation_logs row so a failed run can be resumed with --resume=<logId>.
+const PIPELINE_STAGES = ['fetch', 'transform', 'dedupe', 'visuals', 'save'];
 
 /**
  * Main entry point - generates case studies for today
@@ -129,29 +178,58 @@ export async function generateDailyCases(options = {}) {
     count = 1,           // Number of cases to generate
     forceSourceType,     // Override automatic source selection
     dryRun = false,      // Don't save to database
+    concurrency = 1,     // Max cases generated in parallel
+    recordDir = null,    // Save each fetch result as a fixture in this directory
+    replay = null,       // Use this recorded fixture instead of fetching
+    outputDir,           // Where dry-run artifacts are written
+    variants = 1,        // Best-of-N: transform this many variants and keep the judge's pick
+    cache,               // Use the LLM response cache (default: LLM_CACHE env), false forces it off
+    cacheDir,            // Cache directory (default: LLM_CACHE_DIR env or .cache/llm)
   } = options;
 
+  setupResponseCache(cache, cacheDir);
+
   // Load dynamic configuration from database
   await loadDynamicConfig();
+  await loadSources();
 
-  const dayOfWeek = new Date().getDay();
-  const sourceConfig = forceSourceType
-    ? Object.values(SOURCE_ROTATION).find(s => s.type === forceSourceType)
-    : SOURCE_ROTATION[dayOfWeek];
-
-  if (!sourceConfig) {
-    const validTypes = Object.values(SOURCE_ROTATION).map(s => s.type).join(', ');
+  if (forceSourceType && !getSource(forceSourceType)?.enabled) {
+    const validTypes = getSourceTypes().join(', ');
     throw new Error(`Invalid source type: ${forceSourceType}. Valid types: ${validTypes}`);
   }
 
-  // Get the assembled prompt (from DB or fallback)
-  const { prompt: systemPrompt, versionHash: promptVersionHash } = await getSystemPrompt(sourceConfig.type);
+  // Decide which source each case comes from
+  let fixture = null;
+  let sourcePlan;
+  if (replay) {
+    fixture = loadFixture(replay);
+    const source = getSource(fixture.sourceType);
+    if (!source) {
+      throw new Error(`Fixture source type "${fixture.sourceType}" is not registered`);
+    }
+    sourcePlan = Array.from({ length: count }, () => ({
+      source,
+      strategy: 'replay',
+      reason: `Replay of fixture ${fixture.path}`,
+      targets: fixture.targets || {},
+    }));
+  } else {
+    sourcePlan = await planSources(count, { forceSourceType });
+  }
+
+  // Get the assembled prompt template (from DB or fallback). Each case
+  // renders its own copy with its source's variables at the transform stage.
+  const { prompt: promptTemplate, versionHash: promptVersionHash, experiments: promptExperiments } = await getSystemPrompt();
 
   console.log(`\n🚀 Starting case generation`);
-  console.log(`📅 Day of week: ${dayOfWeek} (${sourceConfig.name})`);
-  console.log(`🎯 Target cases: ${count}`);
-  console.log(`🤖 Using model: ${MODEL_CONFIG.model}`);
-  console.log(`📝 Prompt version: ${promptVersionHash.substring(0, 8)}...`);
+  console.log(`📅 Sources: ${sourcePlan.map(p => p.source.name).join(', ')}`);
+  console.log(`🎯 Target cases: ${count}${concurrency > 1 ? ` (up to ${concurrency} in parallel)` : ''}`);
+  console.log(`🤖 Using model: ${MODEL_CONFIG.model} (${getLlmProvider().name})`);
+  console.log(`📝 Prompt template version: ${promptVersionHash.substring(0, 8)}...`);
+  if (Object.keys(promptExperiments).length > 0) console.log(`🔬 Prompt experiments: ${formatAssignments(promptExperiments)}`);
+  if (fixture) console.log(`📼 Replaying fixture recorded ${fixture.recordedAt}`);
+  if (recordDir) console.log(`📼 Recording fetches to ${recordDir}`);
+  if (variants > 1) console.log(`🏅 Best of ${variants} variants, picked by LLM judge`);
   console.log(`${dryRun ? '🧪 DRY RUN MODE' : '💾 Will save to database'}\n`);
 
   const results = {
@@ -160,71 +238,341 @@ export async function generateDailyCases(options = {}) {
     failed: [],
   };
 
-  for (let i = 0; i < count; i++) {
-    console.log(`\n--- Generating case ${i + 1}/${count} ---`);
+  await mapWithConcurrency(sourcePlan, concurrency, async (selection, i) => {
+    const log = createCaseLogger(concurrency > 1 ? `${i + 1}/${count}` : null);
+    const { source: sourceConfig, reason: selectionReason, targets } = selection;
 
-    const logEntry = await createLogEntry(sourceConfig.type);
+    log.info(`\n--- Generating case ${i + 1}/${count} ---`);
+    log.info(`🎯 Source: ${sourceConfig.name} - ${selectionReason}`);
 
+    let logEntry;
     try {
-      // Step 1: Fetch raw content from source
-      console.log(`📥 Fetching from ${sourceConfig.name}...`);
-      const startFetch = Date.now();
-      const rawContent = await sourceConfig.fetcher();
-      const fetchDuration = Date.now() - startFetch;
-      console.log(`✅ Fetched in ${fetchDuration}ms`);
-
-      if (!rawContent || !rawContent.content) {
-        throw new Error('No content returned from source');
-      }
+      logEntry = await createLogEntry(sourceConfig.type, selectionReason, promptExperiments);
+    } catch (error) {
+      log.error(`❌ Could not create generation log: ${error.message}`);
+      results.failed.push({ error: error.message, logId: null, sourceType: sourceConfig.type });
+      return;
+    }
 
-      // Update log with raw content
-      await updateLogEntry(logEntry.id, {
-        source_url: rawContent.sourceUrl,
-        raw_content: rawContent.content.substring(0, 10000), // Limit storage
-        scrape_duration_ms: fetchDuration,
+    // A replayed fixture stands in for the fetch stage; checkpoint it so
+    // --resume continues from the fixture rather than fetching live
+    const checkpoint = {};
+    if (fixture) {
+      checkpoint.fetch = { rawContent: fixture.rawContent, targets };
+      await saveCheckpoint(logEntry.id, 'fetch', checkpoint, {
+        source_url: fixture.rawContent.sourceUrl,
+        raw_content: fixture.rawContent.content.substring(0, 10000),
       });
+    }
+
+    await runPipeline({
+      logId: logEntry.id,
+      sourceConfig,
+      targets,
+      promptVersionHash,
+      promptExperiments,
+      dryRun,
+      recordDir,
+      variants,
+      checkpoint,
+      log,
+    }, results);
+  });
+
+  printSummary(results);
+
+  if (dryRun) {
+    writeArtifacts(results, { promptTemplate, promptVersionHash, outputDir });
+  }
+
+  return results;
+}
+
+/**
+ * Resume a failed or interrupted generation from its last checkpointed stage
+ * Completed stages are not re-run, so a case that was already transformed
+ * is not re-fetched or re-prompted.
+ * @param {string} logId - The generation_logs row to resume
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Don't save to database
+ * @param {string} options.outputDir - Where dry-run artifacts are written
+ * @param {number} options.variants - Best-of-N variants, if the transform stage still has to run
+ * @param {boolean} options.cache - Use the LLM response cache (default: LLM_CACHE env)
+ * @param {string} options.cacheDir - Cache directory
+ * @returns {Promise<Object>} Results in the same shape as generateDailyCases
+ */
+export async function resumeGeneration(logId, options = {}) {
+  const { dryRun = false, outputDir, variants = 1, cache, cacheDir } = options;
+
+  setupResponseCache(cache, cacheDir);
+
+  const { data: logEntry, error } = await supabase
+    .from('generation_logs')
+    .select('id, status, source_type, checkpoint, last_completed_stage, prompt_experiments')
+    .eq('id', logId)
+    .single();
+
+  if (error || !logEntry) {
+    throw new Error(`Generation log "${logId}" not found`);
+  }
+
+  if (!['failed', 'processing'].includes(logEntry.status)) {
+    throw new Error(`Generation log "${logId}" has status "${logEntry.status}"; only failed or processing runs can be resumed`);
+  }
+
+  await loadDynamicConfig();
+  await loadSources();
+
+  const sourceConfig = getSource(logEntry.source_type);
+  if (!sourceConfig) {
+    throw new Error(`Source type "${logEntry.source_type}" of log "${logId}" is not registered`);
+  }
+
+  const checkpoint = logEntry.checkpoint || {};
+  const nextStage = PIPELINE_STAGES.find(stage => !checkpoint[stage]);
+
+  console.log(`\n🔁 Resuming generation ${logId}`);
+  console.log(`📂 Source: ${sourceConfig.name}`);
+  console.log(`✅ Completed stages: ${logEntry.last_completed_stage || 'none'}`);
+  console.log(`▶️ Continuing from: ${nextStage}`);
+  console.log(`${dryRun ? '🧪 DRY RUN MODE' : '💾 Will save to database'}\n`);
+
+  // Assemble the prompt even if the case is already transformed: a
+  // duplicate falls through to the next candidate, which needs a new
+  // transform. The saved case keeps the hash from its own transform.
+  // The run's prompt experiment variants are kept.
+  const {
+    prompt: promptTemplate,
+    versionHash: promptVersionHash,
+    experiments: promptExperiments,
+  } = await getSystemPrompt(logEntry.prompt_experiments);
+
+  await updateLogEntry(logId, { status: 'processing' });
+
+  const results = {
+    generated: [],
+    skipped: [],
+    failed: [],
+  };
+
+  await runPipeline({
+    logId,
+    sourceConfig,
+    targets: checkpoint.fetch?.targets || {},
+    promptVersionHash,
+    promptExperiments,
+    dryRun,
+    variants,
+    checkpoint,
+  }, results);
+
+  printSummary(results);
+
+  if (dryRun) {
+    writeArtifacts(results, { promptTemplate, promptVersionHash, outputDir });
+  }
+
+  return results;
+}
+
+/**
+ * Run the fetch → transform → dedupe → visuals → save pipeline for one case
+ * Stages already present in the checkpoint are skipped. The grounding check
+ * between dedupe and visuals is re-run on resume.
+ * @param {Object} context - Pipeline context
+ * @param {string} context.logId - generation_logs row id
+ * @param {Object} context.sourceConfig - Registered source definition
+ * @param {Object} context.targets - Buffer-balancing hints for the prompt
+ * @param {string|null} context.promptVersionHash - Hash of the system prompt
+ * @param {Object} context.promptExperiments - Prompt experiment -> variant for this run
+ * @param {boolean} context.dryRun - Don't save to database
+ * @param {string|null} context.recordDir - Save the fetch result as a fixture here
+ * @param {number} context.variants - Best-of-N variants per transform (1 = no judge)
+ * @param {Object} context.checkpoint - Stage outputs from a previous run
+ * @param {Object} context.log - Per-case logger (see createCaseLogger)
+ * @param {Object} results - Results accumulator ({ generated, skipped, failed })
+ */
+async function runPipeline(context, results) {
+  const { logId, sourceConfig, targets, dryRun, recordDir, variants = 1, checkpoint, log = createCaseLogger() } = context;
+
+  try {
+    let rawContent, caseStudy, transformDuration, promptVersionHash, promptExperiments, contentForEmbedding, embedding;
+    // The prompt as rendered for this case, for dry-run review. Not
+    // checkpointed, so a case transformed before a resume has none.
+    let renderedPrompt = null;
+
+    // Steps 1-3 repeat with the next candidate when the transformed case
+    // turns out to be a duplicate, up to MAX_CANDIDATE_ATTEMPTS transforms
+    for (let attempt = checkpoint.attempt || 1; ; attempt++) {
+      // Step 1: Fetch ranked candidates, pre-screen them and load the best
+      if (!checkpoint.fetch) {
+        log.info(`📥 Fetching candidates from ${sourceConfig.name}...`);
+        const startFetch = Date.now();
+        const candidates = await sourceConfig.fetchCandidates();
+        const selection = await selectCandidate(candidates, {
+          exclude: checkpoint.excluded || [],
+          log,
+        });
+        const fetchDuration = Date.now() - startFetch;
+
+        selection.rejected.forEach(r => log.info(`  ⏭️ "${r.title}": ${r.reason}`));
+
+        if (!selection.rawContent) {
+          log.info(`⚠️ Skipped - none of ${candidates.length} candidate(s) passed pre-screening`);
+
+          await updateLogEntry(logId, {
+            status: 'skipped_duplicate',
+            error_message: `No candidate passed pre-screening (${candidates.length} screened)`,
+            scrape_duration_ms: fetchDuration,
+          });
+
+          results.skipped.push({
+            reason: 'no_candidate',
+            candidates: candidates.length,
+            rejected: selection.rejected,
+          });
+          return;
+        }
+
+        rawContent = selection.rawContent;
+        log.info(`✅ Fetched in ${fetchDuration}ms`);
+
+        if (recordDir) {
+          const fixturePath = saveFixture(sourceConfig.type, rawContent, { dir: recordDir, targets });
+          log.info(`📼 Recorded fixture: ${fixturePath}`);
+        }
+
+        checkpoint.fetch = {
+          rawContent,
+          targets,
+          candidate: { title: selection.candidate.title, sourceUrl: selection.candidate.sourceUrl || null },
+          rejected: selection.rejected,
+        };
+        await saveCheckpoint(logId, 'fetch', checkpoint, {
+          source_url: rawContent.sourceUrl,
+          raw_content: rawContent.content.substring(0, 10000), // Limit storage
+          scrape_duration_ms: fetchDuration,
+        });
+      }
+
+      ({ rawContent } = checkpoint.fetch);
+
+      // Step 2: Transform via the LLM provider
+      if (!checkpoint.transform) {
+        const { prompt: systemPrompt } = await getSystemPrompt(
+          context.promptExperiments,
+          buildPromptVariables(sourceConfig.type, rawContent, targets)
+        );
+
+        const { rawContent: budgeted, contentBudget } = await budgetRawContent(
+          rawContent, sourceConfig.type, systemPrompt, targets, { logId, log }
+        );
+
+        const { model: transformModel } = await resolveGenerationParams(sourceConfig.type);
+        log.info(`🤖 Transforming with ${transformModel}${variants > 1 ? ` (${variants} variants)` : ''}...`);
+        const startTransform = Date.now();
+        const { caseStudy: transformed, judging } = await transformWithVariants(
+          budgeted, sourceConfig.type, systemPrompt, targets,
+          { logId, variants, log }
+        );
+        transformed._meta.contentBudget = contentBudget;
+        renderedPrompt = systemPrompt;
+        const duration = Date.now() - startTransform;
+        log.info(`✅ Transformed in ${duration}ms`);
+        if (transformed._meta.fallbacks.length > 0) {
+          log.warn(`🔀 Produced by fallback ${transformed._meta.provider}/${transformed._meta.model}`);
+        }
+
+        checkpoint.transform = {
+          caseStudy: transformed,
+          transformDuration: duration,
+          promptVersionHash: context.promptVersionHash,
+          promptExperiments: context.promptExperiments || {},
+        };
+        await saveCheckpoint(logId, 'transform', checkpoint, {
+          transform_duration_ms: duration,
+          tokens_used: judging?.totalTokens ?? transformed._meta?.tokensUsed,
+          // Includes the content summary call, if there was one
+          cost_usd: (judging?.totalCostUsd ?? transformed._meta?.costUsd ?? 0) + (contentBudget.summaryCostUsd || 0),
+          llm_provider: transformed._meta.provider,
+          llm_model: transformed._meta.model,
+          model_fallbacks: transformed._meta.fallbacks.length > 0 ? transformed._meta.fallbacks : null,
+          ...(judging && { variant_scores: judging }),
+        });
+      }
+
+      ({ caseStudy, transformDuration, promptVersionHash, promptExperiments = {} } = checkpoint.transform);
 
-      // Step 2: Transform via Groq (Llama)
-      console.log(`🤖 Transforming with ${MODEL_CONFIG.model}...`);
-      const startTransform = Date.now();
-      const caseStudy = await transformToCaseStudy(rawContent, sourceConfig.type, systemPrompt);
-      const transformDuration = Date.now() - startTransform;
-      console.log(`✅ Transformed in ${transformDuration}ms`);
+      // Use what_happened + the_question for deduplication embedding.
+      // The embedding is a pure function of the case, so it's recomputed
+      // rather than stored in the checkpoint.
+      contentForEmbedding = `${caseStudy.what_happened} ${caseStudy.the_question}`;
+      embedding = await generateEmbedding(contentForEmbedding);
 
       // Step 3: Check for duplicates
-      console.log(`🔍 Checking for duplicates...`);
-      // Use what_happened + the_question for deduplication embedding
-      const contentForEmbedding = `${caseStudy.what_happened} ${caseStudy.the_question}`;
-      const embedding = await generateEmbedding(contentForEmbedding);
-      const duplicateCheck = await checkDuplication(
-        supabase,
-        embedding,
-        caseStudy.company_name
-      );
+      if (!checkpoint.dedupe) {
+        log.info(`🔍 Checking for duplicates...`);
+        const duplicateCheck = await checkDuplication(
+          supabase,
+          embedding,
+          caseStudy.company_name
+        );
+
+        checkpoint.dedupe = {
+          isDuplicate: duplicateCheck.isDuplicate,
+          similarity: duplicateCheck.similarity,
+          similarCaseId: duplicateCheck.similarCaseId || null,
+        };
+        await saveCheckpoint(logId, 'dedupe', checkpoint);
+      }
 
-      if (duplicateCheck.isDuplicate) {
-        console.log(`⚠️ Skipped - too similar to existing case (${duplicateCheck.similarity.toFixed(2)} similarity)`);
+      if (!checkpoint.dedupe.isDuplicate) break;
 
-        await updateLogEntry(logEntry.id, {
+      // Replayed fixtures have no candidate list to fall through to
+      if (!checkpoint.fetch.candidate || attempt >= MAX_CANDIDATE_ATTEMPTS) {
+        log.info(`⚠️ Skipped - too similar to existing case (${checkpoint.dedupe.similarity.toFixed(2)} similarity)`);
+
+        await updateLogEntry(logId, {
           status: 'skipped_duplicate',
-          similarity_score: duplicateCheck.similarity,
-          similar_to_case_id: duplicateCheck.similarCaseId,
+          similarity_score: checkpoint.dedupe.similarity,
+          similar_to_case_id: checkpoint.dedupe.similarCaseId,
           transform_duration_ms: transformDuration,
         });
 
         results.skipped.push({
           reason: 'duplicate',
-          similarity: duplicateCheck.similarity,
-          similarTo: duplicateCheck.similarCaseId,
+          similarity: checkpoint.dedupe.similarity,
+          similarTo: checkpoint.dedupe.similarCaseId,
         });
-        continue;
+        return;
       }
 
-      // Step 4: Generate visuals from image_prompt
-      console.log(`📊 Generating visuals...`);
+      log.info(`⚠️ Too similar to existing case (${checkpoint.dedupe.similarity.toFixed(2)} similarity); trying next candidate (${attempt}/${MAX_CANDIDATE_ATTEMPTS})`);
+
+      checkpoint.excluded = [...(checkpoint.excluded || []), checkpoint.fetch.candidate].filter(Boolean);
+      checkpoint.attempt = attempt + 1;
+      delete checkpoint.fetch;
+      delete checkpoint.transform;
+      delete checkpoint.dedupe;
+    }
+
+    // Check what_happened against the source. Like the embedding this is
+    // a pure function of the case, so it isn't checkpointed.
+    const grounding = checkGrounding(caseStudy, rawContent, await getGroundingPolicy());
+    if (grounding.unsupported.length > 0) {
+      log.warn(`⚠️ ${grounding.unsupported.length}/${grounding.checked} claim(s) not found in source: ${grounding.unsupported.join(', ')}`);
+    }
+    if (grounding.blocked) {
+      log.warn(`🚫 Publication blocked: ${grounding.reason}`);
+    }
+
+    // Step 4: Generate visuals from image_prompt
+    const imagePrompt = caseStudy.image_prompt || '';
+
+    if (!checkpoint.visuals) {
+      log.info(`📊 Generating visuals...`);
       const tempCaseId = crypto.randomUUID(); // Temporary ID for storage path
       let generatedCharts = [];
-      const imagePrompt = caseStudy.image_prompt || '';
 
       if (imagePrompt) {
         try {
@@ -238,225 +586,949 @@ export async function generateDailyCases(options = {}) {
           if (generatedImage) {
             generatedCharts = [generatedImage];
           }
-          console.log(`✅ Generated ${generatedCharts.length} visual(s) from image_prompt`);
+          log.info(`✅ Generated ${generatedCharts.length} visual(s) from image_prompt`);
         } catch (visualError) {
-          console.warn(`⚠️ Visual generation failed (non-fatal):`, visualError.message);
+          log.warn(`⚠️ Visual generation failed (non-fatal):`, visualError.message);
           // Continue without visuals - they're optional
         }
       } else {
-        console.log(`⏭️ No image_prompt provided, skipping visual generation`);
+        log.info(`⏭️ No image_prompt provided, skipping visual generation`);
       }
 
-      // Step 5: Save to database
-      if (!dryRun) {
-        console.log(`💾 Saving to database...`);
-        const contentHash = crypto
-          .createHash('md5')
-          .update(contentForEmbedding)
-          .digest('hex');
-
-        const { data: savedCase, error } = await supabase
-          .from('case_studies')
-          .insert({
-            // Core content - new template structure
-            title: caseStudy.title,
-            the_question: caseStudy.the_question,
-            read_time_minutes: caseStudy.read_time_minutes || 3,
-            what_happened: caseStudy.what_happened,
-            mental_model: caseStudy.mental_model,
-            answer_approach: caseStudy.answer_approach,
-            pushback_scenarios: caseStudy.pushback_scenarios,
-            summary: caseStudy.summary,
-            interviewer_evaluation: caseStudy.interviewer_evaluation || [],
-            common_mistakes: caseStudy.common_mistakes || [],
-            practice: caseStudy.practice,
-            // Metadata - preserved from original schema
-            source_type: sourceConfig.type,
-            source_url: rawContent.sourceUrl,
-            source_title: rawContent.title,
-            company_name: rawContent.companyName || caseStudy.company_name,
-            industry: caseStudy.industry,
-            difficulty: caseStudy.difficulty,
-            question_type: caseStudy.question_type,
-            seniority_level: caseStudy.seniority_level,
-            frameworks_applicable: caseStudy.frameworks_applicable || [],
-            tags: caseStudy.tags || [],
-            asked_in_company: caseStudy.asked_in_company,
-            // Image generation - new fields
-            image_prompt: imagePrompt,
-            charts: generatedCharts,
-            image_generation_status: generatedCharts.length > 0 ? 'completed' : 'pending',
-            // Deduplication
-            content_embedding: embedding,
-            content_hash: contentHash,
-            generation_log_id: logEntry.id,
-            // Version tracking
-            prompt_version_hash: promptVersionHash,
-            config_version_hash: promptVersionHash,
-          })
-          .select()
-          .single();
-
-        if (error) throw error;
-
-        await updateLogEntry(logEntry.id, {
-          status: 'completed',
-          case_study_id: savedCase.id,
-          transform_duration_ms: transformDuration,
-          tokens_used: caseStudy._meta?.tokensUsed,
-          cost_usd: caseStudy._meta?.costUsd,
-        });
+      checkpoint.visuals = { tempCaseId, charts: generatedCharts };
+      await saveCheckpoint(logId, 'visuals', checkpoint);
+    }
 
-        console.log(`✅ Saved case: "${savedCase.title}" (${savedCase.id})`);
-        results.generated.push(savedCase);
-      } else {
-        console.log(`🧪 [Dry run] Would save: "${caseStudy.title}"`);
-        console.log(`🧪 [Dry run] Would include ${generatedCharts.length} visual(s)`);
-        results.generated.push({ ...caseStudy, charts: generatedCharts });
-      }
+    const generatedCharts = checkpoint.visuals.charts;
+
+    // Step 5: Save to database
+    if (!dryRun) {
+      log.info(`💾 Saving to database...`);
+      const contentHash = crypto
+        .createHash('md5')
+        .update(contentForEmbedding)
+        .digest('hex');
+
+      const { data: savedCase, error } = await supabase
+        .from('case_studies')
+        .insert({
+          // Core content - new template structure
+          title: caseStudy.title,
+          the_question: caseStudy.the_question,
+          read_time_minutes: caseStudy.read_time_minutes || 3,
+          what_happened: caseStudy.what_happened,
+          mental_model: caseStudy.mental_model,
+          answer_approach: caseStudy.answer_approach,
+          pushback_scenarios: caseStudy.pushback_scenarios,
+          summary: caseStudy.summary,
+          interviewer_evaluation: caseStudy.interviewer_evaluation || [],
+          common_mistakes: caseStudy.common_mistakes || [],
+          practice: caseStudy.practice,
+          // Metadata - preserved from original schema
+          source_type: sourceConfig.type,
+          source_url: rawContent.sourceUrl,
+          source_title: rawContent.title,
+          company_name: rawContent.companyName || caseStudy.company_name,
+          industry: caseStudy.industry,
+          difficulty: caseStudy.difficulty,
+          question_type: caseStudy.question_type,
+          seniority_level: caseStudy.seniority_level,
+          frameworks_applicable: caseStudy.frameworks_applicable || [],
+          tags: caseStudy.tags || [],
+          asked_in_company: caseStudy.asked_in_company,
+          // Image generation - new fields
+          image_prompt: imagePrompt,
+          charts: generatedCharts,
+          image_generation_status: generatedCharts.length > 0 ? 'completed' : 'pending',
+          // Deduplication
+          content_embedding: embedding,
+          content_hash: contentHash,
+          generation_log_id: logId,
+          // Version tracking
+          prompt_version_hash: promptVersionHash,
+          config_version_hash: promptVersionHash,
+          prompt_experiments: Object.keys(promptExperiments).length > 0 ? promptExperiments : null,
+          // Model that produced the content (after any fallback)
+          llm_provider: caseStudy._meta?.provider,
+          llm_model: caseStudy._meta?.model,
+          // Source grounding
+          grounding,
+          publication_blocked: grounding.blocked,
+          blocked_reason: grounding.blocked ? grounding.reason : null,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      checkpoint.save = { caseStudyId: savedCase.id };
+      await saveCheckpoint(logId, 'save', checkpoint, {
+        status: 'completed',
+        case_study_id: savedCase.id,
+      });
 
-    } catch (error) {
-      console.error(`❌ Failed with full error:`, JSON.stringify(error, null, 2));
-      console.error(`Error type:`, typeof error);
-      console.error(`Error keys:`, Object.keys(error || {}));
+      log.info(`✅ Saved case: "${savedCase.title}" (${savedCase.id})`);
+      results.generated.push(savedCase);
+    } else {
+      log.info(`🧪 [Dry run] Would save: "${caseStudy.title}"`);
+      log.info(`🧪 [Dry run] Would include ${generatedCharts.length} visual(s)`);
+      results.generated.push({
+        ...caseStudy,
+        charts: generatedCharts,
+        source_type: sourceConfig.type,
+        source_url: rawContent.sourceUrl,
+        generation_log_id: logId,
+        prompt_version_hash: promptVersionHash,
+        prompt_experiments: promptExperiments,
+        llm_provider: caseStudy._meta?.provider,
+        llm_model: caseStudy._meta?.model,
+        grounding,
+        publication_blocked: grounding.blocked,
+        _meta: { ...caseStudy._meta, systemPrompt: renderedPrompt },
+      });
+    }
 
-      if (error?.response) {
-        console.error(`Response status:`, error.response.status);
-        console.error(`Response data:`, error.response.data);
-      }
+  } catch (error) {
+    const errorMessage = formatError(error);
+    log.error(`❌ Failed: ${errorMessage}`);
 
-      if (error?.cause) {
-        console.error(`Cause:`, error.cause);
-      }
+    await updateLogEntry(logId, {
+      status: 'failed',
+      error_message: errorMessage,
+    });
 
-      await updateLogEntry(logEntry.id, {
-        status: 'failed',
-        error_message: JSON.stringify(error),
-      });
+    log.error(`🔁 Resume with: node scripts/run-generator.js --resume=${logId}`);
 
-      results.failed.push({
-        error: JSON.stringify(error),
-        logId: logEntry.id,
-      });
-    }
+    results.failed.push({
+      error: formatError(error, { includeStack: false }),
+      logId,
+      sourceType: sourceConfig.type,
+    });
+  }
+}
+
+/**
+ * Turn the LLM response cache on or off for this run
+ * @param {boolean|undefined} cache - true/false from the caller; undefined defers to LLM_CACHE
+ * @param {string|undefined} dir - Cache directory; defaults to LLM_CACHE_DIR or .cache/llm
+ */
+function setupResponseCache(cache, dir) {
+  const enabled = cache ?? process.env.LLM_CACHE === 'true';
+  const cacheDir = dir || process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR;
+
+  configureResponseCache({ enabled, dir: cacheDir });
+  if (enabled) console.log(`💾 LLM response cache: ${cacheDir}`);
+}
+
+/**
+ * Create a logger that prefixes every line with a case label
+ * Keeps output from parallel cases attributable.
+ * @param {string} label - Label such as "2/5"
+ * @returns {{info: Function, warn: Function, error: Function}}
+ */
+function createCaseLogger(label) {
+  const prefix = label ? [`[${label}]`] : [];
+  return {
+    info: (...args) => console.log(...prefix, ...args),
+    warn: (...args) => console.warn(...prefix, ...args),
+    error: (...args) => console.error(...prefix, ...args),
+  };
+}
+
+/**
+ * Write dry-run artifacts, logging rather than failing the run on error
+ * @param {Object} results - Results accumulator
+ * @param {Object} run - promptTemplate, promptVersionHash, outputDir
+ */
+function writeArtifacts(results, run) {
+  try {
+    const runDir = writeDryRunArtifacts({
+      cases: results.generated,
+      promptTemplate: run.promptTemplate,
+      promptVersionHash: run.promptVersionHash,
+      results,
+    }, { baseDir: run.outputDir });
+    console.log(`📁 Dry-run artifacts written to ${runDir}\n`);
+  } catch (error) {
+    console.warn(`⚠️ Could not write dry-run artifacts: ${error.message}`);
   }
+}
 
-  // Print summary
+/**
+ * Print the run summary
+ * @param {Object} results - Results accumulator
+ */
+function printSummary(results) {
   console.log(`\n========== SUMMARY ==========`);
   console.log(`✅ Generated: ${results.generated.length}`);
   console.log(`⏭️ Skipped: ${results.skipped.length}`);
   console.log(`❌ Failed: ${results.failed.length}`);
+  if (isResponseCacheEnabled()) {
+    const { hits, misses } = getResponseCacheStats();
+    console.log(`💾 LLM cache: ${hits} hit(s), ${misses} miss(es)`);
+  }
   console.log(`==============================\n`);
+}
 
-  return results;
+/**
+ * Transform raw content, optionally as best-of-N judged variants
+ * With variants > 1, each variant is its own transform call and a judge
+ * call scores them against the prompt_evaluation_criteria section. All
+ * calls go through the spend ledger. If judging fails the first variant
+ * is kept, so the judge never costs a case.
+ * @param {Object} rawContent - Raw content from source
+ * @param {string} sourceType - Type of source
+ * @param {string} systemPrompt - The assembled system prompt
+ * @param {Object} targets - Preferred question type / difficulty to balance the buffer
+ * @param {Object} options - Options
+ * @param {string|null} options.logId - generation_logs row, for the spend ledger
+ * @param {number} options.variants - Number of variants to generate
+ * @param {Object} options.log - Per-case logger
+ * @returns {Promise<{caseStudy: Object, judging: Object|null}>} The winner, and the
+ *   scores and per-call costs when variants were judged
+ */
+async function transformWithVariants(rawContent, sourceType, systemPrompt, targets, options = {}) {
+  const { logId = null, variants = 1, log = createCaseLogger() } = options;
+
+  const transform = (label, variant = 1) => withRetry(
+    () => transformToCaseStudy(rawContent, sourceType, systemPrompt, targets, { logId, variant }),
+    { maxAttempts: 3, retryOn: TRANSFORM_RETRY_CLASSES, label }
+  );
+
+  if (variants <= 1) {
+    return { caseStudy: await transform('LLM transform'), judging: null };
+  }
+
+  // Sequential so the spend governor sees each variant's cost before the next
+  const candidates = [];
+  let lastError;
+  for (let i = 1; i <= variants; i++) {
+    try {
+      candidates.push(await transform(`LLM transform (variant ${i}/${variants})`, i));
+      log.info(`  ✏️ Variant ${i}/${variants} ready`);
+    } catch (error) {
+      lastError = error;
+      log.warn(`⚠️ Variant ${i}/${variants} failed: ${error.message}`);
+      // Over budget: judge whatever was already generated
+      if (error.errorClass === ErrorClasses.BUDGET_EXCEEDED) break;
+    }
+  }
+
+  if (candidates.length === 0) throw lastError;
+
+  let scores = null;
+  let winnerIndex = 0;
+  let judge = null;
+
+  if (candidates.length > 1) {
+    try {
+      const criteria = await getConfig('prompt_evaluation_criteria');
+      const cacheCalls = [];
+      const { response, model, costUsd } = await createChatCompletion({
+        model: MODEL_CONFIG.model,
+        max_tokens: JUDGE_MAX_TOKENS,
+        messages: buildJudgeMessages(candidates, rawContent, criteria?.content),
+        temperature: 0,
+        response_format: { type: 'json_object' },
+      }, { logId, purpose: 'judge', cacheCalls });
+
+      try {
+        ({ scores, winnerIndex } = parseJudgement(response.choices[0]?.message?.content, candidates.length));
+      } finally {
+        settleCachedCalls(cacheCalls, scores !== null);
+      }
+      judge = {
+        model,
+        tokensUsed: (response.usage?.prompt_tokens || 0) + (response.usage?.completion_tokens || 0),
+        costUsd,
+      };
+
+      log.info(`🏅 Judge picked variant ${winnerIndex + 1}/${candidates.length} (scores: ${scores.map(s => s.overall.toFixed(1)).join(', ')})`);
+    } catch (error) {
+      log.warn(`⚠️ Judging failed, keeping variant 1: ${error.message}`);
+    }
+  }
+
+  const variantCosts = candidates.map((c, i) => ({
+    variant: i + 1,
+    title: c.title,
+    model: c._meta.model,
+    tokensUsed: c._meta.tokensUsed,
+    costUsd: c._meta.costUsd,
+  }));
+
+  const judging = {
+    requested: variants,
+    generated: candidates.length,
+    winner: winnerIndex + 1,
+    scores,
+    variants: variantCosts,
+    judge,
+    totalTokens: variantCosts.reduce((sum, v) => sum + v.tokensUsed, 0) + (judge?.tokensUsed || 0),
+    totalCostUsd: variantCosts.reduce((sum, v) => sum + v.costUsd, 0) + (judge?.costUsd || 0),
+  };
+
+  const caseStudy = candidates[winnerIndex];
+  caseStudy._meta.judging = judging;
+
+  return { caseStudy, judging };
 }
 
 /**
- * Transform raw content into a case study using Groq (Llama)
+ * Fit raw content into the model's context window
+ * The budget is what the context window leaves after the system prompt,
+ * the rest of the user prompt, max_tokens and a reserve, capped by the
+ * content_budget config. Content over budget is trimmed to its most
+ * relevant paragraphs, or with on_overflow 'summarize' condensed by the
+ * model first (falling back to trimming if that call fails).
+ * @param {Object} rawContent - Raw content from source
+ * @param {string} sourceType - Type of source
+ * @param {string} systemPrompt - The assembled system prompt
+ * @param {Object} targets - Preferred question type / difficulty to balance the buffer
+ * @param {Object} options - Options
+ * @param {string|null} options.logId - generation_logs row, for the spend ledger
+ * @param {Object} options.log - Per-case logger
+ * @returns {Promise<{rawContent: Object, contentBudget: Object}>} Raw content with the
+ *   budgeted text, and what was done to it
+ */
+async function budgetRawContent(rawContent, sourceType, systemPrompt, targets, options = {}) {
+  const { logId = null, log = createCaseLogger() } = options;
+
+  const policy = await getContentBudget();
+  const generation = await resolveGenerationParams(sourceType);
+  const contextWindow = policy.context_window || getModelInfo(generation.model).contextWindow;
+  const { budget, available, promptTokens } = computeContentBudget({
+    contextWindow,
+    systemPrompt,
+    promptOverhead: buildTransformPrompt({ ...rawContent, content: '' }, sourceType, targets),
+    maxOutputTokens: generation.max_tokens,
+    policy,
+  });
+
+  if (available < budget) {
+    log.warn(`⚠️ Prompt leaves ${available} tokens of a ${contextWindow}-token context window; using the ${budget}-token minimum for content`);
+  }
+
+  const contentBudget = {
+    contextWindow,
+    promptTokens,
+    budget,
+    originalTokens: estimateTokens(rawContent.content),
+    strategy: 'none',
+  };
+
+  if (contentBudget.originalTokens <= budget) {
+    return { rawContent, contentBudget: { ...contentBudget, tokens: contentBudget.originalTokens } };
+  }
+
+  const keywords = [rawContent.title, rawContent.companyName];
+  let content = rawContent.content;
+
+  if (policy.on_overflow === 'summarize') {
+    try {
+      // The summary call has the context window to itself, less its output
+      const input = fitContent(content, contextWindow - budget - (policy.reserve_tokens ?? 500), { keywords }).content;
+      const cacheCalls = [];
+      const { response, costUsd } = await createChatCompletion({
+        model: MODEL_CONFIG.model,
+        max_tokens: budget,
+        messages: [
+          {
+            role: 'system',
+            content: `Condense source material for a product management case writer. Keep every figure, date, name, decision and stated reason. Drop navigation, boilerplate and repetition. Plain text only, at most ${Math.floor(budget * 0.7)} words.`,
+          },
+          { role: 'user', content: input },
+        ],
+        temperature: 0,
+      }, { logId, purpose: 'summarize', cacheCalls });
+
+      const summary = response.choices[0]?.message?.content?.trim();
+      settleCachedCalls(cacheCalls, Boolean(summary));
+      if (summary) {
+        content = summary;
+        contentBudget.strategy = 'summarize';
+        contentBudget.summaryCostUsd = costUsd;
+      }
+    } catch (error) {
+      log.warn(`⚠️ Content summary failed, trimming instead: ${error.message}`);
+    }
+  }
+
+  // Also catches a summary that came back over budget
+  const fitted = fitContent(content, budget, { keywords });
+  if (fitted.trimmed && contentBudget.strategy === 'none') {
+    contentBudget.strategy = 'trim';
+    contentBudget.keptParagraphs = `${fitted.kept}/${fitted.total}`;
+  }
+  contentBudget.tokens = fitted.tokens;
+
+  log.info(`✂️ Raw content ${contentBudget.originalTokens} → ${fitted.tokens} tokens (${contentBudget.strategy}, budget ${budget})`);
+
+  return { rawContent: { ...rawContent, content: fitted.content }, contentBudget };
+}
+
+/**
+ * Transform raw content into a case study using the LLM provider
+ * A 429 or 5xx from the configured model moves on to the next entry in
+ * the model_fallbacks chain. _meta records the provider and model that
+ * produced the case and the entries that failed before it.
  * @param {Object} rawContent - Raw content from source
  * @param {string} sourceType - Type of source
  * @param {string} systemPrompt - The assembled system prompt (required)
+ * @param {Object} targets - Preferred question type / difficulty to balance the buffer
+ * @param {Object} options - Options
+ * @param {string|null} options.logId - generation_logs row, for the spend ledger
+ * @param {number} options.variant - Best-of-N variant number (offsets a configured seed)
  */
-async function transformToCaseStudy(rawContent, sourceType, systemPrompt) {
+async function transformToCaseStudy(rawContent, sourceType, systemPrompt, targets = {}, options = {}) {
+  const { logId = null, variant = 1 } = options;
+
   if (!systemPrompt) {
     throw new Error('System prompt is required for case transformation');
   }
 
+  // Per-source temperature, model, max_tokens, top_p and seed. Each
+  // variant gets its own seed so best-of-N doesn't produce N copies.
+  const generation = await resolveGenerationParams(sourceType);
+  if (generation.seed !== undefined) generation.seed += variant - 1;
+
   const promptToUse = systemPrompt;
+  const userPrompt = buildTransformPrompt(rawContent, sourceType, targets);
+
+  const messages = [
+    {
+      role: 'system',
+      content: promptToUse,
+    },
+    {
+      role: 'user',
+      content: userPrompt,
+    }
+  ];
 
-  const sourceTypePromptAdditions = {
-    'historical_wikipedia': `This is a HISTORICAL case. Write as if the reader is facing the decision at the time it happened.`,
-    'historical_archive': `This is a HISTORICAL case from archived news. Emphasize the uncertainty that existed at the time.`,
-    'live_news_techcrunch': `This is based on CURRENT NEWS. Frame it as a live scenario.`,
-    'live_news_hackernews': `This is based on CURRENT TECH NEWS. Connect it to broader industry trends.`,
-    'live_news_producthunt': `This is about a NEW PRODUCT LAUNCH. Focus on go-to-market decisions.`,
-    'company_blog': `This is from OFFICIAL COMPANY SOURCES. Find the interesting tension beneath the PR narrative.`,
-    'company_sec_filing': `This is from SEC FILINGS. Look for strategic decisions revealed in the financial data.`,
-    'framework_classic': `This is a CLASSIC PM FRAMEWORK case. Add a modern twist while teaching the framework.`,
-  };
+  // Walk the model fallback chain. Each entry runs the whole transform,
+  // so one case is never stitched together from two models.
+  const { entries, on } = await resolveModelChain(generation.model);
+  const fallbacks = [];
 
-  const userPrompt = `Transform the following raw content into an interview-ready PM case study.
+  for (let i = 0; i < entries.length; i++) {
+    const { provider, model } = entries[i];
+    const next = entries[i + 1];
 
-SOURCE TYPE: ${sourceType}
-COMPANY/SUBJECT: ${rawContent.companyName || 'Unknown'}
-ORIGINAL SOURCE: ${rawContent.sourceUrl || 'N/A'}
-RAW CONTENT:
----
-${rawContent.content}
----
+    try {
+      const caseStudy = await transformWithModel([...messages], { ...generation, model }, {
+        logId,
+        provider,
+        variant,
+        // With somewhere to fall back to, a 429 moves on instead of pausing
+        retryRateLimits: !next || !on.includes(ErrorClasses.RATE_LIMIT),
+      });
 
-${sourceTypePromptAdditions[sourceType] || ''}
+      caseStudy._meta.provider = provider;
+      caseStudy._meta.fallbacks = fallbacks;
+      return caseStudy;
+    } catch (error) {
+      const errorClass = classifyError(error);
+      if (!next || !on.includes(errorClass)) throw error;
 
-Generate a structured case study following the system prompt format. Respond ONLY with valid JSON.`;
+      console.warn(`🔀 ${provider}/${model} failed (${errorClass}), falling back to ${next.provider}/${next.model}`);
+      fallbacks.push({ provider, model, errorClass, error: error.message });
+    }
+  }
+}
 
-  const startTime = Date.now();
+/**
+ * Build the ordered list of provider/model pairs a transform may use
+ * The transform's own model comes first, then the model_fallbacks chain.
+ * Entries without a provider use the active one; entries whose provider
+ * can't be created (e.g. a missing API key) are skipped.
+ * @param {string} model - The transform's configured model
+ * @returns {Promise<{entries: Array<{provider: string, model: string}>, on: string[]}>}
+ *   on lists the error classes that move to the next entry
+ */
+async function resolveModelChain(model) {
+  const { chain = [], on = [ErrorClasses.RATE_LIMIT, ErrorClasses.SERVER] } = await getModelFallbacks();
+  const primary = getLlmProvider().name;
+  const entries = [{ provider: primary, model }];
+
+  for (const entry of chain) {
+    if (!entry?.model) continue;
+    const provider = entry.provider || primary;
+    if (entries.some(e => e.provider === provider && e.model === entry.model)) continue;
+
+    try {
+      getProviderByName(provider);
+    } catch (error) {
+      console.warn(`⚠️ Skipping fallback ${provider}/${entry.model}: ${error.message}`);
+      continue;
+    }
 
-  const response = await groq.chat.completions.create({
-    model: MODEL_CONFIG.model,
-    max_tokens: MODEL_CONFIG.maxTokens,
-    messages: [
-      {
-        role: 'system',
-        content: promptToUse,
-      },
-      {
-        role: 'user',
-        content: userPrompt,
+    entries.push({ provider, model: entry.model });
+  }
+
+  return { entries, on };
+}
+
+/**
+ * Run one transform against a single provider/model
+ * @param {Object[]} messages - The [system, user] messages (repair turns are appended)
+ * @param {Object} generation - Chat params from resolveGenerationParams, with the chain entry's model
+ * @param {Object} callOptions - Options for createChatCompletion
+ * @param {string|null} callOptions.logId - generation_logs row, for the spend ledger
+ * @param {string} callOptions.provider - Provider name
+ * @param {boolean} callOptions.retryRateLimits - Wait out 429s rather than throwing
+ * @param {number} callOptions.variant - Best-of-N variant number, part of the cache key
+ * @returns {Promise<Object>} Validated case study with _meta
+ */
+async function transformWithModel(messages, generation, callOptions) {
+  // Responses are cached only once the case validates
+  const cacheCalls = [];
+
+  try {
+    const caseStudy = await runTransform(messages, generation, { ...callOptions, cacheCalls });
+    settleCachedCalls(cacheCalls, true);
+    return caseStudy;
+  } catch (error) {
+    settleCachedCalls(cacheCalls, false);
+    throw error;
+  }
+}
+
+async function runTransform(messages, generation, callOptions) {
+  const startTime = Date.now();
+  const usage = { promptTokens: 0, completionTokens: 0, costUsd: 0 };
+  let model = generation.model;
+  let mode = 'single';
+  let caseStudy = null;
+  let errors = [];
+
+  // Schema or parse errors are sent back to the model for a corrected
+  // response, up to MAX_SCHEMA_REPAIRS times. A response cut off at
+  // max_tokens is continued, and if that doesn't yield valid JSON the
+  // case is regenerated section by section.
+  for (let repair = 0; ; repair++) {
+    const purpose = repair === 0 ? 'transform' : 'repair';
+    let content;
+
+    if (mode === 'single') {
+      const completion = await completeWithContinuation({
+        ...generation,
+        messages,
+        response_format: { type: 'json_object' },
+      }, { ...callOptions, purpose });
+      addUsage(usage, completion);
+      model = completion.model;
+
+      if (completion.truncated || (completion.continuations > 0 && !tryExtractJson(completion.content))) {
+        console.warn(`✂️ Output hit max_tokens=${generation.max_tokens}${completion.continuations > 0 ? ` after ${completion.continuations} continuation(s)` : ''}; generating section by section`);
+        mode = 'sectioned';
+      } else {
+        if (completion.continuations > 0) {
+          console.log(`✂️ Output hit max_tokens=${generation.max_tokens}; completed with ${completion.continuations} continuation(s)`);
+        }
+        content = completion.content;
       }
-    ],
-    temperature: 0.7,
-    response_format: { type: 'json_object' },
-  });
+    }
 
-  const duration = Date.now() - startTime;
-  const promptTokens = response.usage?.prompt_tokens || 0;
-  const completionTokens = response.usage?.completion_tokens || 0;
-  const tokensUsed = promptTokens + completionTokens;
+    if (mode === 'sectioned') {
+      // Regenerate only the sections with errors, keeping the rest
+      const sectioned = await generateInSections(messages.slice(0, 2), {
+        ...callOptions,
+        generation,
+        purpose,
+        draft: caseStudy || {},
+        errors,
+      });
+      addUsage(usage, sectioned);
+      model = sectioned.model;
+      content = sectioned.content;
+    }
 
-  // Calculate cost using Groq pricing (prices are per million tokens)
-  const costUsd = (promptTokens * MODEL_CONFIG.pricing.input + completionTokens * MODEL_CONFIG.pricing.output) / 1000000;
+    if (!content) {
+      throw new Error('Empty response from LLM');
+    }
 
-  // Parse the response
-  const content = response.choices[0]?.message?.content;
-  if (!content) {
-    throw new Error('Empty response from LLM');
+    let errorClass;
+    caseStudy = null;
+
+    try {
+      caseStudy = normalizeCaseStudy(extractJson(content));
+      ({ errors } = validateCaseStudy(caseStudy));
+      errorClass = ErrorClasses.SCHEMA_VALIDATION;
+    } catch (parseError) {
+      console.error('Failed to parse LLM response:', content?.substring(0, 500));
+      errors = [`response is not valid JSON: ${parseError.message}`];
+      errorClass = ErrorClasses.JSON_PARSE;
+    }
+
+    if (errors.length === 0) {
+      // Add metadata
+      caseStudy._meta = {
+        tokensUsed: usage.promptTokens + usage.completionTokens,
+        costUsd: usage.costUsd,
+        durationMs: Date.now() - startTime,
+        model,
+        repairs: repair,
+        generationMode: mode,
+        generationParams: { ...generation, model },
+      };
+
+      return caseStudy;
+    }
+
+    if (repair >= MAX_SCHEMA_REPAIRS) {
+      throw new GenerationError(
+        `${errorClass === ErrorClasses.JSON_PARSE ? 'JSON parse failed' : 'Schema validation failed'} after ${repair} repair(s): ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`,
+        { errorClass }
+      );
+    }
+
+    // Don't cache (or keep replaying) the responses that failed
+    settleCachedCalls(callOptions.cacheCalls, false);
+
+    console.warn(`🔧 ${errors.length} schema error(s), asking the model to repair (${repair + 1}/${MAX_SCHEMA_REPAIRS})`);
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
   }
+}
 
-  let caseStudy;
+/**
+ * Run one JSON completion, continuing it if it stops at max_tokens
+ * Continuations drop JSON mode (which would force a fresh object) and
+ * are appended to the partial output.
+ * @param {Object} params - Chat completion parameters
+ * @param {Object} options - Options for createChatCompletion (logId, purpose)
+ * @returns {Promise<Object>} { content, model, promptTokens, completionTokens, costUsd,
+ *   truncated (still cut off after MAX_CONTINUATIONS), continuations }
+ */
+async function completeWithContinuation(params, options = {}) {
+  const result = { content: '', model: params.model, promptTokens: 0, completionTokens: 0, costUsd: 0, truncated: false, continuations: 0 };
+
+  for (let continuation = 0; ; continuation++) {
+    const request = continuation === 0
+      ? params
+      : {
+          ...params,
+          response_format: undefined,
+          messages: [
+            ...params.messages,
+            { role: 'assistant', content: result.content },
+            { role: 'user', content: CONTINUE_PROMPT },
+          ],
+        };
+
+    const { response, model, costUsd } = await createChatCompletion(request, {
+      ...options,
+      purpose: continuation === 0 ? options.purpose : 'continuation',
+    });
+
+    result.model = model;
+    result.promptTokens += response.usage?.prompt_tokens || 0;
+    result.completionTokens += response.usage?.completion_tokens || 0;
+    result.costUsd += costUsd;
+    result.continuations = continuation;
+
+    const choice = response.choices[0];
+    const text = choice?.message?.content || '';
+    result.content += continuation === 0 ? text : text.replace(/^\s*```(?:json)?\s*/, '');
+
+    if (choice?.finish_reason !== 'length') {
+      return result;
+    }
 
+    if (continuation >= MAX_CONTINUATIONS) {
+      result.truncated = true;
+      return result;
+    }
+  }
+}
+
+/**
+ * Generate a case in separate calls per section group and merge them
+ * Used when a single response doesn't fit in max_tokens. With a draft and
+ * errors, only the groups owning an erroring field are regenerated.
+ * @param {Object[]} baseMessages - The [system, user] messages of the full-case request
+ * @param {Object} options - Options
+ * @param {string|null} options.logId - generation_logs row, for the spend ledger
+ * @param {string} options.provider - Provider name (defaults to the active one)
+ * @param {boolean} options.retryRateLimits - Wait out 429s rather than throwing
+ * @param {number} options.variant - Best-of-N variant number, part of the cache key
+ * @param {Object[]} options.cacheCalls - Collects calls for settleCachedCalls
+ * @param {Object} options.generation - Chat params from resolveGenerationParams
+ * @param {string} options.purpose - 'transform' or 'repair'
+ * @param {Object} options.draft - Previously generated fields
+ * @param {string[]} options.errors - Schema errors in the draft
+ * @returns {Promise<Object>} { content (merged JSON), model, promptTokens, completionTokens, costUsd }
+ */
+async function generateInSections(baseMessages, options = {}) {
+  const { logId = null, provider, retryRateLimits, variant, cacheCalls, generation, purpose = 'transform', draft = {}, errors = [] } = options;
+  const [systemMessage, userMessage] = baseMessages;
+
+  const merged = { ...draft };
+  const usage = { promptTokens: 0, completionTokens: 0, costUsd: 0 };
+  let model = generation.model;
+
+  for (const group of groupsForErrors(errors)) {
+    const groupErrors = errors.filter(e => group.keys.includes(e.split(/[.:[]/)[0].trim()));
+
+    const completion = await completeWithContinuation({
+      ...generation,
+      messages: [
+        systemMessage,
+        { role: 'user', content: buildSectionPrompt(userMessage.content, group, merged, groupErrors) },
+      ],
+      response_format: { type: 'json_object' },
+    }, { logId, provider, retryRateLimits, variant, cacheCalls, purpose: `${purpose}_section` });
+    addUsage(usage, completion);
+    model = completion.model;
+
+    if (completion.truncated) {
+      throw new GenerationError(
+        `LLM output truncated at max_tokens=${generation.max_tokens} even for the ${group.name} section`,
+        { errorClass: ErrorClasses.LLM_TRUNCATION }
+      );
+    }
+
+    const part = tryExtractJson(completion.content);
+    if (!part) {
+      throw new GenerationError(`JSON parse failed in the ${group.name} section`, {
+        errorClass: ErrorClasses.JSON_PARSE,
+      });
+    }
+
+    for (const key of group.keys) {
+      if (part[key] !== undefined) merged[key] = part[key];
+    }
+  }
+
+  return { content: JSON.stringify(merged), model, ...usage };
+}
+
+/**
+ * Extract and parse the JSON object in a model response
+ * @param {string} content - Response text
+ * @returns {Object}
+ */
+function extractJson(content) {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in response');
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+function tryExtractJson(content) {
   try {
-    // Try to extract JSON from the response
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      caseStudy = JSON.parse(jsonMatch[0]);
-    } else {
-      throw new Error('No JSON found in response');
+    return extractJson(content || '');
+  } catch {
+    return null;
+  }
+}
+
+function addUsage(totals, call) {
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.costUsd += call.costUsd;
+}
+
+/**
+ * Call the LLM provider within the spend caps, waiting out rate limits
+ * The spend governor may swap in a cheaper model or refuse the call.
+ * A 429 pauses all callers for the time the API asked for, then retries.
+ * Each completed call is recorded in the spend ledger. With the response
+ * cache on, a repeat of an earlier request returns the stored response.
+ * Calls given a cacheCalls list are only noted there; the caller settles
+ * them with settleCachedCalls once it knows whether the responses parsed.
+ * @param {Object} params - Chat completion parameters
+ * @param {Object} options - Options
+ * @param {string|null} options.logId - generation_logs row, for the spend ledger
+ * @param {string} options.purpose - What the call is for, for the spend ledger
+ * @param {string} options.provider - Provider name, for fallback chain entries (defaults to the active one)
+ * @param {boolean} options.retryRateLimits - Wait out 429s; false throws the first one
+ * @param {number} options.variant - Best-of-N variant number, part of the cache key
+ * @param {Object[]} options.cacheCalls - Collects this call for settleCachedCalls
+ * @returns {Promise<{response: Object, model: string, provider: string, costUsd: number}>}
+ */
+async function createChatCompletion(params, options = {}) {
+  const { logId = null, purpose = 'transform', retryRateLimits = true, variant, cacheCalls = null } = options;
+  const provider = getProviderByName(options.provider);
+  const cacheScope = { provider: provider.name, variant };
+
+  // Cache hits cost nothing, so they skip the spend check and the ledger
+  const cached = readCachedResponse(params, cacheScope);
+  if (cached) {
+    console.log(`💾 LLM cache hit (${purpose}, ${cached.model})`);
+    cacheCalls?.push({ params, scope: cacheScope, hit: true });
+    return { response: cached.response, model: cached.model, provider: provider.name, costUsd: 0 };
+  }
+
+  const budget = await checkSpendBudget({
+    model: params.model,
+    messages: params.messages,
+    maxTokens: params.max_tokens,
+    provider,
+  });
+  if (budget.requestedModel) {
+    console.warn(`💸 Spend governor: ${budget.reason}; using ${budget.model} instead of ${budget.requestedModel}`);
+  }
+
+  const request = { ...params, model: budget.model };
+  if (request.max_tokens) {
+    request.max_tokens = clampMaxTokens(request.model, request.max_tokens, provider);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit();
+
+    try {
+      const response = await provider.createChatCompletion(request);
+      if (cacheCalls) {
+        cacheCalls.push({ params, scope: cacheScope, hit: false, result: { response, model: request.model } });
+      } else {
+        writeCachedResponse(params, { response, model: request.model }, cacheScope);
+      }
+
+      const promptTokens = response.usage?.prompt_tokens || 0;
+      const completionTokens = response.usage?.completion_tokens || 0;
+      const costUsd = calculateCost(request.model, promptTokens, completionTokens, provider);
+
+      await recordSpend({
+        generationLogId: logId,
+        model: request.model,
+        requestedModel: budget.requestedModel,
+        purpose,
+        promptTokens,
+        completionTokens,
+        costUsd,
+      });
+
+      return { response, model: request.model, provider: provider.name, costUsd };
+    } catch (error) {
+      if (!isRateLimitError(error) || !retryRateLimits || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw error;
+      }
+
+      const waitMs = getRetryAfterMs(error);
+      console.warn(`⏳ Rate limited by ${provider.name}, pausing ${Math.ceil(waitMs / 1000)}s (retry ${attempt + 1}/${MAX_RATE_LIMIT_RETRIES})`);
+      pauseForRateLimit(waitMs);
     }
-  } catch (parseError) {
-    console.error('Failed to parse LLM response:', content?.substring(0, 500));
-    throw new Error(`JSON parse failed: ${parseError.message}`);
   }
+}
 
-  // Add metadata
-  caseStudy._meta = {
-    tokensUsed,
-    costUsd,
-    durationMs: duration,
-    model: MODEL_CONFIG.model,
+/**
+ * Cache or evict the responses collected by createChatCompletion
+ * Fresh responses are written only when they produced a usable result,
+ * and cached ones that didn't are removed, so a retry calls the model
+ * again instead of replaying the same bad response. Empties the list.
+ * @param {Object[]} cacheCalls - Calls collected via options.cacheCalls
+ * @param {boolean} usable - Whether the responses parsed and validated
+ */
+function settleCachedCalls(cacheCalls, usable) {
+  for (const { params, scope, hit, result } of cacheCalls) {
+    if (usable && !hit) writeCachedResponse(params, result, scope);
+    if (!usable && hit) removeCachedResponse(params, scope);
+  }
+  cacheCalls.length = 0;
+}
+
+/**
+ * Resolve the generation parameters for a source type
+ * The generation_params "default" entry and the source's own entry are
+ * layered over groq_model / groq_max_tokens. LLM_MODEL still wins for
+ * the model, since local providers use their own model names.
+ * @param {string} sourceType - Type of source
+ * @returns {Promise<Object>} Chat completion params: model, max_tokens,
+ *   temperature, and top_p / seed when configured
+ */
+async function resolveGenerationParams(sourceType) {
+  const config = await getGenerationParams();
+  const merged = { ...config.default, ...config[sourceType] };
+
+  const params = {
+    model: process.env.LLM_MODEL || merged.model || MODEL_CONFIG.model,
+    max_tokens: Number.isInteger(merged.max_tokens) && merged.max_tokens > 0 ? merged.max_tokens : MODEL_CONFIG.maxTokens,
+    temperature: typeof merged.temperature === 'number' ? Math.min(2, Math.max(0, merged.temperature)) : DEFAULT_TEMPERATURE,
   };
 
-  return caseStudy;
+  if (typeof merged.top_p === 'number') params.top_p = Math.min(1, Math.max(0, merged.top_p));
+  if (Number.isInteger(merged.seed)) params.seed = merged.seed;
+
+  return params;
+}
+
+/**
+ * Build the transform user prompt for a piece of raw content
+ * @param {Object} rawContent - Raw content from source
+ * @param {string} sourceType - Type of source
+ * @param {Object} targets - Preferred question type / difficulty to balance the buffer
+ * @returns {string}
+ */
+function buildTransformPrompt(rawContent, sourceType, targets = {}) {
+  // Per-source guidance comes from the prompt_source_guidance section
+  return `Transform the following raw content into an interview-ready PM case study.
+
+SOURCE TYPE: ${sourceType}
+COMPANY/SUBJECT: ${rawContent.companyName || 'Unknown'}
+ORIGINAL SOURCE: ${rawContent.sourceUrl || 'N/A'}
+RAW CONTENT:
+---
+${rawContent.content}
+---
+${formatTargetGuidance(targets)}
+Generate a structured case study following the system prompt format. Respond ONLY with valid JSON.`;
+}
+
+/**
+ * Build the buffer-balancing hint for the user prompt
+ * @param {Object} targets - { questionType, difficulty, seniorityLevel } from the source selector
+ * @returns {string}
+ */
+function formatTargetGuidance(targets = {}) {
+  const { questionType, difficulty, seniorityLevel } = targets;
+  if (!questionType && !difficulty && seniorityLevel == null) return '';
+
+  const parts = [];
+  if (questionType) parts.push(`a ${questionType} question`);
+  if (difficulty) parts.push(`${difficulty} difficulty`);
+  const level = seniorityLevel != null ? `seniority level ${seniorityLevel}` : '';
+  const preference = parts.length > 0 ? `${parts.join(' at ')}${level ? ` for ${level}` : ''}` : level;
+
+  return `\nIf the material supports it, prefer ${preference} - the content buffer is short on these.\n`;
+}
+
+/**
+ * Build the template variables for a case's prompt sections
+ * @param {string} sourceType - Type of source
+ * @param {Object} rawContent - Raw content from source
+ * @param {Object} targets - Buffer-balancing hints from the source selector
+ * @returns {Object} See TEMPLATE_VARIABLES in prompts/prompt-template.js
+ */
+function buildPromptVariables(sourceType, rawContent, targets = {}) {
+  return {
+    source_type: sourceType,
+    company: rawContent.companyName || null,
+    target_question_type: targets.questionType || null,
+    target_difficulty: targets.difficulty || null,
+    seniority: targets.seniorityLevel ?? null,
+  };
 }
 
 /**
  * Create a log entry for tracking
+ * @param {string} sourceType - Source the case is generated from
+ * @param {string} selectionReason - Why the source selector picked this source
+ * @param {Object} promptExperiments - Prompt experiment -> variant for this run
  */
-async function createLogEntry(sourceType) {
+async function createLogEntry(sourceType, selectionReason = null, promptExperiments = {}) {
   const { data, error } = await supabase
     .from('generation_logs')
     .insert({
       status: 'processing',
       source_type: sourceType,
+      selection_reason: selectionReason,
+      prompt_experiments: Object.keys(promptExperiments).length > 0 ? promptExperiments : null,
     })
     .select()
     .single();
@@ -477,6 +1549,21 @@ async function updateLogEntry(id, updates) {
   if (error) console.error('Failed to update log:', error);
 }
 
+/**
+ * Persist a completed pipeline stage on the log entry
+ * @param {string} id - generation_logs row id
+ * @param {string} stage - The stage that just completed
+ * @param {Object} checkpoint - All stage outputs so far
+ * @param {Object} updates - Additional log columns to update
+ */
+async function saveCheckpoint(id, stage, checkpoint, updates = {}) {
+  await updateLogEntry(id, {
+    ...updates,
+    checkpoint,
+    last_completed_stage: stage,
+  });
+}
+
 /**
  * Get buffer status
  */
@@ -0,0 +1,90 @@
+/**
+ * Config Bundle - Promotes configurations between environments
+ *
+ * Usage:
+ *   node scripts/config-bundle.js export [--out=FILE] [--env=LABEL]
+ *   node scripts/config-bundle.js import FILE [--dry-run] [--by=NAME] [--reason=TEXT]
+ *
+ * export writes every configurations row to one JSON bundle (default
+ * output/config-bundles/<env>-<timestamp>.json). import prints which keys
+ * the bundle would create or change, then applies them unless --dry-run
+ * is given. Point SUPABASE_URL / SUPABASE_SERVICE_KEY at the source
+ * environment to export and at the target one to import.
+ */
+
+import 'dotenv/config';
+import {
+  exportConfigBundle,
+  writeConfigBundle,
+  readConfigBundle,
+  validateConfigBundle,
+  planConfigImport,
+  importConfigBundle,
+  formatImportPlan,
+} from './config/config-bundle.js';
+
+const DEFAULT_BUNDLE_DIR = 'output/config-bundles';
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  if (command === 'export') {
+    const bundle = await exportConfigBundle({ environment: option('env') });
+    const stamp = bundle.exported_at.replace(/[:.]/g, '-');
+    const file = option('out') || `${DEFAULT_BUNDLE_DIR}/${bundle.environment}-${stamp}.json`;
+
+    await writeConfigBundle(bundle, file);
+    console.log(`📦 Exported ${bundle.configs.length} configs from ${bundle.environment} to ${file}`);
+    return;
+  }
+
+  if (command === 'import') {
+    const file = args.find(a => !a.startsWith('--'));
+    if (!file) throw new Error('Usage: config-bundle.js import FILE [--dry-run] [--by=NAME] [--reason=TEXT]');
+
+    const dryRun = args.includes('--dry-run');
+    const bundle = await readConfigBundle(file);
+
+    const { errors, warnings } = validateConfigBundle(bundle);
+    warnings.forEach(w => console.warn(`⚠️ ${w}`));
+    if (errors.length > 0) {
+      errors.forEach(e => console.error(`❌ ${e}`));
+      throw new Error(`Bundle ${file} failed validation (${errors.length} errors); nothing was imported`);
+    }
+
+    console.log(`📦 Bundle from ${bundle.environment} (${bundle.exported_at}), ${bundle.configs.length} configs\n`);
+
+    // Show the diff before anything is written
+    const plan = await planConfigImport(bundle);
+    console.log(formatImportPlan(plan));
+
+    if (dryRun) {
+      console.log('\n🔍 Dry run: nothing was written');
+      return;
+    }
+
+    if (plan.create.length === 0 && plan.update.length === 0) {
+      console.log('\n✅ Target already matches the bundle');
+      return;
+    }
+
+    console.log('');
+    const { results } = await importConfigBundle(bundle, {
+      updatedBy: option('by'),
+      reason: option('reason'),
+    });
+
+    const failed = results.filter(r => !r.success);
+    failed.forEach(r => console.error(`❌ ${r.key} (${r.action}): ${r.error}`));
+    if (failed.length > 0) process.exitCode = 1;
+    return;
+  }
+
+  throw new Error(`Unknown command "${command || ''}". Use "export" or "import"`);
+}
+
+main().catch(err => {
+  console.error('Config bundle error:', err.message);
+  process.exit(1);
+});
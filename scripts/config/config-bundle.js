@@ -0,0 +1,324 @@
+/**
+ * Configuration Bundles
+ *
+ * Exports every configurations row (prompt sections, system configs,
+ * thresholds and feature flags) to a single JSON bundle, and imports a
+ * bundle into another environment. An import is planned first: each
+ * key is created, updated or left unchanged, and the plan can be
+ * printed as a diff before anything is written. Writes go through
+ * config-updater.js, so they are schema-checked and recorded in
+ * config_versions like any other change.
+ *
+ * Keys that exist only in the target are reported but never deleted.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { supabase } from '../utils/supabase-client.js';
+import { validateConfigValue } from './config-schemas.js';
+import { CONFIG_TYPES } from './config-sources.js';
+import { createConfig, updateConfig, updateConfigMetadata, diffConfigValues } from './config-updater.js';
+
+// Bump when the bundle layout changes; imports reject newer formats
+export const BUNDLE_FORMAT_VERSION = 1;
+
+// Row fields carried in a bundle besides config_key and config_value
+const METADATA_FIELDS = {
+  config_type: 'type',
+  description: 'description',
+  parent_key: 'parentKey',
+  display_order: 'displayOrder',
+  is_active: 'isActive',
+};
+
+/**
+ * Config bundle
+ * @typedef {Object} ConfigBundle
+ * @property {number} format_version - BUNDLE_FORMAT_VERSION it was written with
+ * @property {string} environment - Label of the environment it was exported from
+ * @property {string} exported_at - ISO timestamp
+ * @property {string} checksum - MD5 of the configs, to spot hand edits
+ * @property {Object[]} configs - Rows: config_key, config_type, config_value, description,
+ *   parent_key, display_order, is_active and version (the source version, informational)
+ */
+
+/**
+ * Export all configurations to a bundle
+ * @param {Object} options - Options
+ * @param {string} options.environment - Label for the source environment (default: SUPABASE_URL host)
+ * @returns {Promise<ConfigBundle>}
+ */
+export async function exportConfigBundle(options = {}) {
+  const { environment = defaultEnvironment() } = options;
+
+  const { data, error } = await supabase
+    .from('configurations')
+    .select('config_key, config_type, config_value, description, parent_key, display_order, is_active, version')
+    .order('config_type')
+    .order('display_order')
+    .order('config_key');
+
+  if (error) {
+    throw new Error(`Failed to export configurations: ${error.message}`);
+  }
+
+  return {
+    format_version: BUNDLE_FORMAT_VERSION,
+    environment,
+    exported_at: new Date().toISOString(),
+    checksum: checksumConfigs(data),
+    configs: data,
+  };
+}
+
+/**
+ * Write a bundle to a JSON file, creating its directory
+ * @param {ConfigBundle} bundle - The bundle
+ * @param {string} file - Output path
+ */
+export async function writeConfigBundle(bundle, file) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(bundle, null, 2) + '\n');
+}
+
+/**
+ * Read a bundle from a JSON file
+ * @param {string} file - Bundle path
+ * @returns {Promise<ConfigBundle>}
+ */
+export async function readConfigBundle(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config bundle ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Check a bundle's format and every config in it
+ * Values are checked against the schemas of this codebase, so a bundle
+ * from a newer release can be refused before anything is written.
+ * @param {ConfigBundle} bundle - The bundle
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateConfigBundle(bundle) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Number.isInteger(bundle?.format_version) || !Array.isArray(bundle?.configs)) {
+    return { valid: false, errors: ['Not a config bundle (needs format_version and configs)'], warnings };
+  }
+
+  if (bundle.format_version > BUNDLE_FORMAT_VERSION) {
+    errors.push(`Bundle format ${bundle.format_version} is newer than supported (${BUNDLE_FORMAT_VERSION})`);
+  }
+
+  if (bundle.checksum && bundle.checksum !== checksumConfigs(bundle.configs)) {
+    warnings.push('Checksum does not match; the bundle was edited after export');
+  }
+
+  const seen = new Set();
+  for (const [i, config] of bundle.configs.entries()) {
+    const key = config?.config_key;
+    if (typeof key !== 'string' || !key) {
+      errors.push(`configs[${i}]: config_key is required`);
+      continue;
+    }
+    if (seen.has(key)) errors.push(`${key}: appears more than once`);
+    seen.add(key);
+
+    if (!CONFIG_TYPES.includes(config.config_type)) {
+      errors.push(`${key}: config_type must be one of ${CONFIG_TYPES.join(', ')}`);
+    }
+    if (config.config_value === undefined) {
+      errors.push(`${key}: config_value is required`);
+      continue;
+    }
+    // Errors are "path: problem", or "key: problem" for the value as a whole
+    errors.push(...validateConfigValue(key, config.config_value).errors.map(e => (e.startsWith(`${key}:`) ? e : `${key}.${e}`)));
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Plan the import of a bundle into the current environment
+ * @param {ConfigBundle} bundle - The bundle
+ * @returns {Promise<Object>} { create, update, unchanged, targetOnly }. create entries are
+ *   { key, config }; update entries add diffConfigValues-style changes, with paths like
+ *   "display_order" for metadata and "config_value.content" for the value
+ */
+export async function planConfigImport(bundle) {
+  const { data: current, error } = await supabase
+    .from('configurations')
+    .select('config_key, config_type, config_value, description, parent_key, display_order, is_active');
+
+  if (error) {
+    throw new Error(`Failed to read target configurations: ${error.message}`);
+  }
+
+  const currentByKey = new Map(current.map(row => [row.config_key, row]));
+  const bundleKeys = new Set(bundle.configs.map(c => c.config_key));
+  const plan = { create: [], update: [], unchanged: [], targetOnly: [] };
+
+  for (const config of bundle.configs) {
+    const key = config.config_key;
+    const existing = currentByKey.get(key);
+
+    if (!existing) {
+      plan.create.push({ key, config });
+      continue;
+    }
+
+    const changes = [
+      ...Object.keys(METADATA_FIELDS)
+        .filter(field => config[field] !== undefined)
+        .flatMap(field => diffConfigValues(existing[field], config[field], field)),
+      ...diffConfigValues(existing.config_value, config.config_value, 'config_value'),
+    ];
+
+    if (changes.length > 0) {
+      plan.update.push({ key, config, changes });
+    } else {
+      plan.unchanged.push(key);
+    }
+  }
+
+  plan.targetOnly = current.map(row => row.config_key).filter(key => !bundleKeys.has(key)).sort();
+
+  return plan;
+}
+
+/**
+ * Import a bundle into the current environment
+ * The bundle is validated first and nothing is written if any config
+ * fails. Value changes are recorded in config_versions with updatedBy
+ * and reason.
+ * @param {ConfigBundle} bundle - The bundle
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Plan only, write nothing
+ * @param {string} options.updatedBy - Who is importing, kept in the history
+ * @param {string} options.reason - Kept in the history (default names the bundle's environment and date)
+ * @returns {Promise<Object>} { plan, results, dryRun }. results are { key, action, success, error }
+ * @throws {Error} When the bundle is invalid
+ */
+export async function importConfigBundle(bundle, options = {}) {
+  const {
+    dryRun = false,
+    updatedBy = 'config-import',
+    reason = `Imported from ${bundle.environment || 'bundle'} export of ${bundle.exported_at || 'unknown date'}`,
+  } = options;
+
+  const { valid, errors } = validateConfigBundle(bundle);
+  if (!valid) {
+    throw new Error(`Invalid config bundle: ${errors.join('; ')}`);
+  }
+
+  const plan = await planConfigImport(bundle);
+  if (dryRun) return { plan, results: [], dryRun };
+
+  const results = [];
+
+  for (const { key, config } of plan.create) {
+    try {
+      await createConfig({
+        key,
+        value: config.config_value,
+        type: config.config_type,
+        description: config.description ?? '',
+        parentKey: config.parent_key ?? null,
+        displayOrder: config.display_order ?? 0,
+        isActive: config.is_active ?? true,
+        updatedBy,
+        reason,
+      });
+      results.push({ key, action: 'create', success: true });
+    } catch (error) {
+      results.push({ key, action: 'create', success: false, error: error.message });
+    }
+  }
+
+  for (const { key, config, changes } of plan.update) {
+    try {
+      const metadata = {};
+      for (const [field, option] of Object.entries(METADATA_FIELDS)) {
+        if (changes.some(c => c.path === field)) metadata[option] = config[field];
+      }
+      if (Object.keys(metadata).length > 0) {
+        await updateConfigMetadata(key, metadata);
+      }
+
+      if (changes.some(c => c.path === 'config_value' || c.path.startsWith('config_value.'))) {
+        await updateConfig(key, config.config_value, { updatedBy, reason });
+      }
+      results.push({ key, action: 'update', success: true });
+    } catch (error) {
+      results.push({ key, action: 'update', success: false, error: error.message });
+    }
+  }
+
+  const failed = results.filter(r => !r.success).length;
+  console.log(`📦 Imported config bundle: ${results.length - failed} applied, ${failed} failed, ${plan.unchanged.length} unchanged`);
+
+  return { plan, results, dryRun };
+}
+
+/**
+ * Format an import plan as a readable diff
+ * Long values (e.g. prompt text) are shortened.
+ * @param {Object} plan - From planConfigImport
+ * @returns {string}
+ */
+export function formatImportPlan(plan) {
+  const lines = [];
+
+  for (const { key, config } of plan.create) {
+    lines.push(`+ ${key} (new ${config.config_type})`);
+  }
+
+  for (const { key, changes } of plan.update) {
+    lines.push(`~ ${key}`);
+    for (const change of changes) {
+      if (change.type === 'added') lines.push(`    + ${change.path}: ${preview(change.after)}`);
+      else if (change.type === 'removed') lines.push(`    - ${change.path}: ${preview(change.before)}`);
+      else lines.push(`    ~ ${change.path}: ${preview(change.before)} → ${preview(change.after)}`);
+    }
+  }
+
+  for (const key of plan.targetOnly) {
+    lines.push(`? ${key} (only in target, left as is)`);
+  }
+
+  lines.push('', `${plan.create.length} to create, ${plan.update.length} to update, ${plan.unchanged.length} unchanged, ${plan.targetOnly.length} only in target`);
+
+  return lines.join('\n');
+}
+
+function preview(value, maxLength = 80) {
+  const text = JSON.stringify(value) ?? 'undefined';
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}… (${text.length} chars)` : text;
+}
+
+function checksumConfigs(configs) {
+  return crypto.createHash('md5').update(JSON.stringify(configs)).digest('hex');
+}
+
+function defaultEnvironment() {
+  try {
+    return new URL(process.env.SUPABASE_URL).hostname;
+  } catch {
+    return 'unknown';
+  }
+}
+
+export default {
+  BUNDLE_FORMAT_VERSION,
+  exportConfigBundle,
+  writeConfigBundle,
+  readConfigBundle,
+  validateConfigBundle,
+  planConfigImport,
+  importConfigBundle,
+  formatImportPlan,
+};
@@ -1,11 +1,12 @@
 /**
  * Configuration Loader
  *
- * Loads configurations from the database with in-memory caching.
- * Caches are invalidated after a configurable TTL (default: 5 minutes).
+ * Loads configurations from the active config source (the database by
+ * default, or a local directory; see config-sources.js) with in-memory
+ * caching. Caches are invalidated after a configurable TTL (default: 5 minutes).
  */
 
-import { supabase } from '../utils/supabase-client.js';
+import { getConfigSource } from './config-sources.js';
 
 // Cache storage
 const cache = new Map();
@@ -49,10 +50,11 @@ export async function getConfig(key, options = {}) {
     }
   }
 
-  // Fetch from database
-  const { data, error } = await supabase.rpc('get_config', { p_key: key });
-
-  if (error) {
+  // Fetch from the config source
+  let data;
+  try {
+    data = await getConfigSource().getConfig(key);
+  } catch (error) {
     console.error(`Error fetching config "${key}":`, error.message);
     // Return cached value even if expired, as fallback
     const cached = cache.get(cacheKey);
@@ -82,19 +84,12 @@ export async function getConfig(key, options = {}) {
  * @returns {Promise<Object|null>} Full config row
  */
 export async function getConfigFull(key) {
-  const { data, error } = await supabase
-    .from('configurations')
-    .select('*')
-    .eq('config_key', key)
-    .eq('is_active', true)
-    .single();
-
-  if (error) {
+  try {
+    return await getConfigSource().getConfigFull(key);
+  } catch (error) {
     console.error(`Error fetching full config "${key}":`, error.message);
     return null;
   }
-
-  return data;
 }
 
 /**
@@ -116,10 +111,11 @@ export async function getConfigsByType(type, options = {}) {
     }
   }
 
-  // Fetch from database
-  const { data, error } = await supabase.rpc('get_configs_by_type', { p_type: type });
-
-  if (error) {
+  // Fetch from the config source
+  let data;
+  try {
+    data = await getConfigSource().getConfigsByType(type);
+  } catch (error) {
     console.error(`Error fetching configs by type "${type}":`, error.message);
     return [];
   }
@@ -204,6 +200,15 @@ export async function getGroqModel() {
   return value ?? 'llama-3.3-70b-versatile'; // Fallback to default
 }
 
+/**
+ * Get the LLM provider to use (see scripts/llm/providers.js)
+ * @returns {Promise<string>}
+ */
+export async function getLlmProviderName() {
+  const value = await getConfig('llm_provider');
+  return value ?? 'groq'; // Fallback to default
+}
+
 /**
  * Get the max tokens for Groq
  * @returns {Promise<number>}
@@ -213,6 +218,108 @@ export async function getGroqMaxTokens() {
   return value ?? 4000; // Fallback to default
 }
 
+/**
+ * Get the number of days of content the buffer should hold
+ * @returns {Promise<number>}
+ */
+export async function getBufferTargetDays() {
+  const value = await getConfig('buffer_target_days');
+  return value ?? 14; // Fallback to default
+}
+
+/**
+ * Get the daily/monthly LLM spend caps
+ * Null caps are not enforced.
+ * @returns {Promise<Object>} { daily_tokens, daily_usd, monthly_tokens, monthly_usd, on_cap, downgrade_model }
+ */
+export async function getLlmSpendCaps() {
+  const value = await getConfig('llm_spend_caps');
+  return value ?? { // Fallback to default
+    daily_tokens: null,
+    daily_usd: 1.0,
+    monthly_tokens: null,
+    monthly_usd: 20.0,
+    on_cap: 'downgrade',
+    downgrade_model: 'llama-3.1-8b-instant',
+  };
+}
+
+/**
+ * Get the source grounding policy
+ * Cases with at least min_claims checkable claims and more than
+ * max_unsupported_ratio of them missing from the source are flagged,
+ * or kept from publication when on_exceed is 'block'.
+ * @returns {Promise<Object>} { min_claims, max_unsupported_ratio, on_exceed }
+ */
+export async function getGroundingPolicy() {
+  const value = await getConfig('grounding_policy');
+  return value ?? { // Fallback to default
+    min_claims: 3,
+    max_unsupported_ratio: 0.3,
+    on_exceed: 'flag',
+  };
+}
+
+/**
+ * Get the raw content budget
+ * context_window overrides the provider's figure for the model (null = use it).
+ * on_overflow is 'trim' (keep the most relevant paragraphs) or 'summarize'.
+ * @returns {Promise<Object>} { max_content_tokens, reserve_tokens, context_window, on_overflow }
+ */
+export async function getContentBudget() {
+  const value = await getConfig('content_budget');
+  return value ?? { // Fallback to default
+    max_content_tokens: 2000,
+    reserve_tokens: 500,
+    context_window: null,
+    on_overflow: 'trim',
+  };
+}
+
+/**
+ * Get per-source generation parameters
+ * Keyed by source type, with "default" applying to every source. Each
+ * entry may set temperature, max_tokens, model, top_p and seed.
+ * @returns {Promise<Object>} { default: {...}, [sourceType]: {...} }
+ */
+export async function getGenerationParams() {
+  const value = await getConfig('generation_params');
+  return value ?? { default: { temperature: 0.7 } }; // Fallback to default
+}
+
+/**
+ * Get the model catalog (per-model prices and limits)
+ * Models missing from it use the provider's built-in figures.
+ * @returns {Promise<Object>} { [model]: { input, output, context_window, max_output_tokens } }
+ */
+export async function getModelCatalog() {
+  const value = await getConfig('model_catalog');
+  return value ?? {}; // Fallback to provider built-ins
+}
+
+/**
+ * Get the model fallback chain
+ * Entries are tried in order after the transform's own model when a
+ * call fails with one of the listed error classes.
+ * @returns {Promise<Object>} { chain: [{ provider, model }], on: [errorClass] }
+ */
+export async function getModelFallbacks() {
+  const value = await getConfig('model_fallbacks');
+  return value ?? { chain: [], on: ['http_429', 'http_5xx'] }; // Fallback to default
+}
+
+/**
+ * Get prompt experiments
+ * Keyed by experiment name. Active experiments assign one weighted
+ * variant per generation run; a variant's sections replace the DB
+ * prompt sections of the same key.
+ * @returns {Promise<Object>} { [name]: { active, variants: { [variant]: { weight, sections } } } }
+ */
+export async function getPromptExperiments() {
+  const value = await getConfig('prompt_experiments');
+  return value ?? {}; // No experiments
+}
+
 /**
  * Get chart color palettes
  * @returns {Promise<Object>}
@@ -278,7 +385,7 @@ export function getCacheStats() {
  * Call this at startup for better performance
  */
 export async function preloadConfigs() {
-  console.log('Preloading configurations...');
+  console.log(`Preloading configurations (source: ${getConfigSource().name})...`);
 
   try {
     // Load all types in parallel
@@ -304,7 +411,16 @@ export default {
   getSimilarityThreshold,
   getCompanyCooldownDays,
   getGroqModel,
+  getLlmProviderName,
   getGroqMaxTokens,
+  getBufferTargetDays,
+  getLlmSpendCaps,
+  getGroundingPolicy,
+  getContentBudget,
+  getGenerationParams,
+  getModelCatalog,
+  getModelFallbacks,
+  getPromptExperiments,
   getChartColorPalettes,
   clearCache,
   clearCacheKey,
@@ -0,0 +1,307 @@
+/**
+ * Configuration Schemas
+ *
+ * Declares the shape of every config_value: types, ranges, enums and
+ * required fields, as JSON Schema (the subset in utils/json-schema.js).
+ * config-updater.js rejects values that don't match. The edge functions
+ * use the same schemas and validator, generated into
+ * supabase/functions/_shared/ by `npm run config:sync-edge`; re-run it
+ * after changing this file.
+ *
+ * title and description are for admin UIs rendering a form per key.
+ */
+
+import { validateSchema } from '../utils/json-schema.js';
+import { validateTemplate } from '../prompts/prompt-template.js';
+
+// Mirrors PROVIDERS in llm/providers.js
+export const LLM_PROVIDERS = ['groq', 'openai_compatible', 'ollama', 'llama_cpp', 'mock'];
+
+// Error classes (utils/errors.js) that can move a transform down the fallback chain
+export const FALLBACK_ERROR_CLASSES = ['http_429', 'http_5xx', 'network_error', 'network_timeout'];
+
+const valueConfig = (title, schema) => ({
+  title,
+  type: 'object',
+  required: ['value'],
+  properties: { value: schema },
+});
+
+const nullableCap = (description, type) => ({ type: [type, 'null'], minimum: 0, description });
+
+export const PROMPT_SECTION_SCHEMA = {
+  title: 'Prompt section',
+  type: 'object',
+  required: ['content'],
+  properties: {
+    content: {
+      type: 'string',
+      minLength: 1,
+      format: 'prompt_template',
+      description: 'Section text; may use {{variables}} and {{#if}} blocks (see prompts/prompt-template.js)',
+    },
+  },
+};
+
+const PROMPT_SECTIONS = [
+  'prompt_system_intro',
+  'prompt_source_guidance',
+  'prompt_output_schema',
+  'prompt_question_types',
+  'prompt_mental_models',
+  'prompt_answer_structure',
+  'prompt_evaluation_criteria',
+  'prompt_image_generation',
+  'prompt_source_customization',
+];
+
+export const CONFIG_SCHEMAS = {
+  ...Object.fromEntries(PROMPT_SECTIONS.map(key => [key, PROMPT_SECTION_SCHEMA])),
+
+  similarity_threshold: valueConfig('Duplicate similarity threshold', {
+    type: 'number', minimum: 0, maximum: 1,
+    description: 'Cosine similarity above which a candidate is a duplicate',
+  }),
+  company_cooldown_days: valueConfig('Company cooldown', {
+    type: 'integer', minimum: 0, maximum: 365,
+    description: 'Days before the same company can reappear',
+  }),
+  buffer_target_days: valueConfig('Buffer target', {
+    type: 'integer', minimum: 1, maximum: 90,
+    description: 'Days of scheduled content to keep',
+  }),
+  max_generation_per_run: valueConfig('Max cases per run', {
+    type: 'integer', minimum: 1, maximum: 50,
+  }),
+  groq_model: valueConfig('Model', {
+    type: 'string', minLength: 1,
+    description: 'Model passed to the active LLM provider',
+  }),
+  groq_max_tokens: valueConfig('Max tokens', {
+    type: 'integer', minimum: 256, maximum: 131072,
+    description: 'Max completion tokens per generation',
+  }),
+  version_retention_count: valueConfig('Version retention', {
+    type: 'integer', minimum: 1, maximum: 50,
+    description: 'Versions kept per case',
+  }),
+  llm_provider: valueConfig('LLM provider', {
+    type: 'string', enum: LLM_PROVIDERS,
+  }),
+
+  chart_color_palettes: {
+    title: 'Chart color palettes',
+    type: 'object',
+    required: ['default'],
+    additionalProperties: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+      description: 'Hex colors, e.g. #4F46E5',
+    },
+  },
+
+  llm_spend_caps: {
+    title: 'LLM spend caps',
+    type: 'object',
+    properties: {
+      daily_tokens: nullableCap('Daily token cap (null = no cap)', 'integer'),
+      daily_usd: nullableCap('Daily USD cap (null = no cap)', 'number'),
+      monthly_tokens: nullableCap('Monthly token cap (null = no cap)', 'integer'),
+      monthly_usd: nullableCap('Monthly USD cap (null = no cap)', 'number'),
+      on_cap: { type: 'string', enum: ['downgrade', 'refuse'] },
+      downgrade_model: { type: ['string', 'null'], minLength: 1 },
+    },
+    additionalProperties: false,
+  },
+
+  grounding_policy: {
+    title: 'Source grounding policy',
+    type: 'object',
+    properties: {
+      min_claims: { type: 'integer', minimum: 0, description: 'Claims needed before the ratio is checked' },
+      max_unsupported_ratio: { type: 'number', minimum: 0, maximum: 1 },
+      on_exceed: { type: 'string', enum: ['flag', 'block'] },
+    },
+    additionalProperties: false,
+  },
+
+  content_budget: {
+    title: 'Raw content budget',
+    type: 'object',
+    properties: {
+      max_content_tokens: { type: 'integer', minimum: 500 },
+      reserve_tokens: { type: 'integer', minimum: 0 },
+      context_window: { type: ['integer', 'null'], minimum: 1, description: 'Overrides the model context window (null = provider figure)' },
+      on_overflow: { type: 'string', enum: ['trim', 'summarize'] },
+    },
+    additionalProperties: false,
+  },
+
+  model_catalog: {
+    title: 'Model catalog',
+    type: 'object',
+    description: 'Keyed by model name',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        input: { type: 'number', minimum: 0, description: 'USD per 1M input tokens' },
+        output: { type: 'number', minimum: 0, description: 'USD per 1M output tokens' },
+        context_window: { type: 'integer', minimum: 1 },
+        max_output_tokens: { type: 'integer', minimum: 1 },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  generation_params: {
+    title: 'Generation parameters',
+    type: 'object',
+    description: 'Keyed by source type, with "default" applying to every source',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        max_tokens: { type: 'integer', minimum: 1 },
+        model: { type: 'string', minLength: 1 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+        seed: { type: 'integer' },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  model_fallbacks: {
+    title: 'Model fallbacks',
+    type: 'object',
+    required: ['chain'],
+    properties: {
+      chain: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['model'],
+          properties: {
+            provider: { type: 'string', enum: LLM_PROVIDERS, description: 'Defaults to the active llm_provider' },
+            model: { type: 'string', minLength: 1 },
+          },
+          additionalProperties: false,
+        },
+      },
+      on: { type: 'array', items: { type: 'string', enum: FALLBACK_ERROR_CLASSES } },
+    },
+    additionalProperties: false,
+  },
+
+  prompt_experiments: {
+    title: 'Prompt experiments',
+    type: 'object',
+    description: 'Keyed by experiment name',
+    additionalProperties: {
+      type: 'object',
+      required: ['variants'],
+      properties: {
+        active: { type: 'boolean' },
+        variants: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              weight: { type: 'number', minimum: 0, description: '0 pauses the variant' },
+              sections: {
+                type: 'object',
+                description: 'Prompt section key -> replacement content',
+                additionalProperties: { type: 'string', minLength: 1 },
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * Config value failed its schema
+ */
+export class ConfigValidationError extends Error {
+  constructor(key, errors) {
+    super(`Invalid value for config "${key}": ${errors.join('; ')}`);
+    this.name = 'ConfigValidationError';
+    this.key = key;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Get the schema for a config key
+ * Keys without a declared schema that start with "prompt_" (e.g. clones
+ * of a section) use the prompt section schema.
+ * @param {string} key - The config key
+ * @returns {Object|null} The schema, or null for undeclared keys
+ */
+export function getConfigSchema(key) {
+  return CONFIG_SCHEMAS[key] || (key.startsWith('prompt_') ? PROMPT_SECTION_SCHEMA : null);
+}
+
+/**
+ * Validate a config value against its key's schema
+ * Prompt section content is also checked for template errors.
+ * @param {string} key - The config key
+ * @param {any} value - The config_value
+ * @returns {{valid: boolean, errors: string[], schema: Object|null}} Keys without a schema are valid
+ */
+export function validateConfigValue(key, value) {
+  const schema = getConfigSchema(key);
+  if (!schema) return { valid: true, errors: [], schema: null };
+
+  const errors = validateSchema(value, schema, key);
+
+  if (schema === PROMPT_SECTION_SCHEMA && typeof value?.content === 'string') {
+    errors.push(...validateTemplate(value.content).errors.map(e => `content: ${e}`));
+  }
+
+  // Variant sections replace prompt sections, so they are templates too
+  if (key === 'prompt_experiments' && errors.length === 0) {
+    errors.push(...validateExperimentTemplates(value));
+  }
+
+  return { valid: errors.length === 0, errors, schema };
+}
+
+/**
+ * Validate a config value, throwing on failure
+ * @param {string} key - The config key
+ * @param {any} value - The config_value
+ * @throws {ConfigValidationError}
+ */
+export function assertValidConfigValue(key, value) {
+  const { valid, errors } = validateConfigValue(key, value);
+  if (!valid) throw new ConfigValidationError(key, errors);
+}
+
+function validateExperimentTemplates(experiments) {
+  const errors = [];
+  for (const [name, experiment] of Object.entries(experiments)) {
+    for (const [variant, { sections = {} }] of Object.entries(experiment.variants)) {
+      for (const [section, content] of Object.entries(sections)) {
+        const path = `${name}.variants.${variant}.sections.${section}`;
+        errors.push(...validateTemplate(content).errors.map(e => `${path}: ${e}`));
+      }
+    }
+  }
+  return errors;
+}
+
+export default {
+  LLM_PROVIDERS,
+  FALLBACK_ERROR_CLASSES,
+  PROMPT_SECTION_SCHEMA,
+  CONFIG_SCHEMAS,
+  ConfigValidationError,
+  getConfigSchema,
+  validateConfigValue,
+  assertValidConfigValue,
+};
@@ -0,0 +1,314 @@
+/**
+ * Configuration Sources
+ *
+ * Where config-loader.js reads configs from, so prompts and settings can
+ * be developed offline and checked into git. The source is chosen by
+ * CONFIG_SOURCE:
+ *
+ *   database - Supabase RPCs (default)
+ *   file     - A local directory of config files (CONFIG_DIR, default config/)
+ *   layered  - The directory over the database: files win key by key
+ *
+ * A config directory holds one file per key, named after it
+ * (prompt_mental_models.json, similarity_threshold.yaml, ...), with the
+ * same fields as a configurations row:
+ *
+ *   { "config_type": "prompt_section", "display_order": 50,
+ *     "config_value": { "content": "..." } }
+ *
+ * Files are validated against config-schemas.js when the directory is
+ * read. config-updater.js and the edge functions always write to the
+ * database.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { validateConfigValue } from './config-schemas.js';
+
+export const CONFIG_TYPES = ['prompt_section', 'system', 'threshold', 'feature_flag'];
+
+export const DEFAULT_SOURCE = 'database';
+export const DEFAULT_CONFIG_DIR = 'config';
+
+const CONFIG_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Config source
+ * @typedef {Object} ConfigSource
+ * @property {string} name - Source name
+ * @property {Function} getConfig - Async (key) => config_value, or null if missing
+ * @property {Function} getConfigsByType - Async (type) => [{ config_key, config_value, display_order }]
+ *   ordered by display_order
+ * @property {Function} getConfigFull - Async (key) => full configurations row, or null if missing
+ * @property {Function} [readRows] - Async () => Map of config_key -> row (file source only)
+ * Methods throw when the source can't be read.
+ */
+
+// Source factories keyed by CONFIG_SOURCE value
+export const CONFIG_SOURCES = {
+  database: createDatabaseSource,
+  file: createFileSource,
+  layered: createLayeredSource,
+};
+
+// Source used by this process
+let activeSource = null;
+
+/**
+ * Create a config source by name
+ * @param {string} name - One of CONFIG_SOURCES
+ * @param {Object} options - Source options
+ * @param {string} options.dir - Config directory (file and layered sources)
+ * @returns {ConfigSource}
+ */
+export function createConfigSource(name, options = {}) {
+  const factory = CONFIG_SOURCES[name];
+  if (!factory) {
+    throw new Error(`Unknown config source: ${name}. Valid sources: ${Object.keys(CONFIG_SOURCES).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Get the config source for this process
+ * Created from CONFIG_SOURCE and CONFIG_DIR on first use.
+ * @returns {ConfigSource}
+ */
+export function getConfigSource() {
+  if (!activeSource) {
+    activeSource = createConfigSource(process.env.CONFIG_SOURCE || DEFAULT_SOURCE, {
+      dir: process.env.CONFIG_DIR,
+    });
+  }
+  return activeSource;
+}
+
+/**
+ * Replace the config source for this process
+ * Callers should clear the config-loader cache afterwards.
+ * @param {ConfigSource|string} source - A source, or a name for createConfigSource
+ * @param {Object} options - Source options when a name is given
+ * @returns {ConfigSource}
+ */
+export function setConfigSource(source, options = {}) {
+  activeSource = typeof source === 'string' ? createConfigSource(source, options) : source;
+  return activeSource;
+}
+
+/**
+ * Database source (Supabase RPCs)
+ * The client is imported on first use, so file-only runs need no
+ * Supabase credentials.
+ * @returns {ConfigSource}
+ */
+export function createDatabaseSource() {
+  const getClient = async () => (await import('../utils/supabase-client.js')).supabase;
+
+  return {
+    name: 'database',
+
+    async getConfig(key) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.rpc('get_config', { p_key: key });
+      if (error) throw new Error(error.message);
+      return data ?? null;
+    },
+
+    async getConfigsByType(type) {
+      const supabase = await getClient();
+      const { data, error } = await supabase.rpc('get_configs_by_type', { p_type: type });
+      if (error) throw new Error(error.message);
+      return data || [];
+    },
+
+    async getConfigFull(key) {
+      const supabase = await getClient();
+      const { data, error } = await supabase
+        .from('configurations')
+        .select('*')
+        .eq('config_key', key)
+        .eq('is_active', true)
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      return data;
+    },
+  };
+}
+
+/**
+ * File source (a local config directory)
+ * The directory is read once per source; config-loader's cache TTL still
+ * applies on top, so restart (or setConfigSource) to pick up edits.
+ * @param {Object} options - Options
+ * @param {string} options.dir - Config directory
+ * @returns {ConfigSource}
+ */
+export function createFileSource(options = {}) {
+  const dir = path.resolve(options.dir || DEFAULT_CONFIG_DIR);
+  let rowsPromise = null;
+
+  const getRows = () => {
+    if (!rowsPromise) {
+      rowsPromise = readConfigDir(dir).catch((error) => {
+        rowsPromise = null; // Let the next call retry after a fix
+        throw error;
+      });
+    }
+    return rowsPromise;
+  };
+
+  return {
+    name: 'file',
+    dir,
+    readRows: getRows,
+
+    async getConfig(key) {
+      const row = (await getRows()).get(key);
+      return row?.is_active ? row.config_value : null;
+    },
+
+    async getConfigsByType(type) {
+      return toTypeList([...(await getRows()).values()], type);
+    },
+
+    async getConfigFull(key) {
+      const row = (await getRows()).get(key);
+      return row?.is_active ? row : null;
+    },
+  };
+}
+
+/**
+ * Layered source (config directory over the database)
+ * A file replaces the database row with the same key; a file with
+ * "is_active": false hides it. Keys without a file come from the database.
+ * @param {Object} options - Options
+ * @param {string} options.dir - Config directory
+ * @returns {ConfigSource}
+ */
+export function createLayeredSource(options = {}) {
+  const files = createFileSource(options);
+  const database = createDatabaseSource();
+
+  const fileRow = async (key) => (await files.readRows()).get(key);
+
+  return {
+    name: 'layered',
+    dir: files.dir,
+
+    async getConfig(key) {
+      const row = await fileRow(key);
+      if (row) return row.is_active ? row.config_value : null;
+      return database.getConfig(key);
+    },
+
+    async getConfigsByType(type) {
+      const [rows, dbRows] = await Promise.all([files.readRows(), database.getConfigsByType(type)]);
+      const merged = dbRows.filter(r => !rows.has(r.config_key));
+      return toTypeList([...rows.values()], type, merged);
+    },
+
+    async getConfigFull(key) {
+      const row = await fileRow(key);
+      if (row) return row.is_active ? row : null;
+      return database.getConfigFull(key);
+    },
+  };
+}
+
+/**
+ * Read and validate every config file in a directory
+ * @param {string} dir - Config directory
+ * @returns {Promise<Map<string, Object>>} config_key -> configurations-style row
+ * @throws {Error} Naming the file, on unreadable or invalid files and duplicate keys
+ */
+export async function readConfigDir(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    throw new Error(`Cannot read config directory ${dir}: ${error.message}`);
+  }
+
+  const rows = new Map();
+  const files = entries
+    .filter(name => CONFIG_FILE_EXTENSIONS.includes(path.extname(name)))
+    .sort();
+
+  for (const name of files) {
+    const file = path.join(dir, name);
+    const key = path.basename(name, path.extname(name));
+
+    if (rows.has(key)) {
+      throw new Error(`${file}: duplicate config "${key}" (also in ${rows.get(key).file})`);
+    }
+
+    const row = parseConfigRow(key, await parseConfigFile(file));
+    const errors = [
+      ...validateRow(row),
+      ...validateConfigValue(key, row.config_value).errors,
+    ];
+    if (errors.length > 0) {
+      throw new Error(`${file}: invalid config "${key}": ${errors.join('; ')}`);
+    }
+
+    rows.set(key, { ...row, file });
+  }
+
+  return rows;
+}
+
+async function parseConfigFile(file) {
+  const text = await fs.readFile(file, 'utf8');
+
+  try {
+    return path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+function parseConfigRow(key, data) {
+  return {
+    config_key: key,
+    config_type: data?.config_type,
+    config_value: data?.config_value,
+    display_order: data?.display_order ?? 0,
+    is_active: data?.is_active ?? true,
+    description: data?.description ?? null,
+  };
+}
+
+function validateRow(row) {
+  const errors = [];
+  if (!CONFIG_TYPES.includes(row.config_type)) {
+    errors.push(`config_type: must be one of ${CONFIG_TYPES.join(', ')}`);
+  }
+  if (row.config_value === undefined) errors.push('config_value: is required');
+  if (!Number.isInteger(row.display_order)) errors.push('display_order: must be an integer');
+  if (typeof row.is_active !== 'boolean') errors.push('is_active: must be true or false');
+  return errors;
+}
+
+function toTypeList(rows, type, base = []) {
+  const fromFiles = rows
+    .filter(r => r.is_active && r.config_type === type)
+    .map(r => ({ config_key: r.config_key, config_value: r.config_value, display_order: r.display_order }));
+
+  return [...base, ...fromFiles].sort((a, b) => a.display_order - b.display_order);
+}
+
+export default {
+  CONFIG_TYPES,
+  CONFIG_SOURCES,
+  DEFAULT_SOURCE,
+  DEFAULT_CONFIG_DIR,
+  createConfigSource,
+  getConfigSource,
+  setConfigSource,
+  createDatabaseSource,
+  createFileSource,
+  createLayeredSource,
+  readConfigDir,
+};
@@ -3,10 +3,15 @@
  *
  * Provides functions to update configurations in the database.
  * Updates automatically increment version numbers and clear relevant caches.
+ * Values are checked against their key's schema (config-schemas.js)
+ * before they are written. Every write records the new value in
+ * config_versions, which backs history, diffs between versions and
+ * rollback.
  */
 
 import { supabase } from '../utils/supabase-client.js';
 import { clearCacheKey, clearCache } from './config-loader.js';
+import { assertValidConfigValue } from './config-schemas.js';
 
 /**
  * Update a configuration value
@@ -14,18 +19,14 @@ import { clearCacheKey, clearCache } from './config-loader.js';
  * @param {Object} value - The new config_value (JSONB)
  * @param {Object} options - Options
  * @param {string} options.updatedBy - Who is making the update
- * @param {string} options.description - Optional new description
+ * @param {string} options.reason - Why the change was made, kept in the history
  * @returns {Promise<Object>} The updated config row
+ * @throws {ConfigValidationError} When the value doesn't match the key's schema
  */
 export async function updateConfig(key, value, options = {}) {
-  const { updatedBy = 'system', description } = options;
+  const { updatedBy = 'system', reason = null } = options;
 
-  // Build update object
-  const updateData = {
-    config_value: value,
-    version: supabase.rpc('increment'), // This won't work, need different approach
-    updated_at: new Date().toISOString(),
-  };
+  assertValidConfigValue(key, value);
 
   // Use the database function for atomic version increment
   const { data, error } = await supabase.rpc('update_config', {
@@ -35,11 +36,23 @@ export async function updateConfig(key, value, options = {}) {
   });
 
   if (error) {
-    // Fallback to manual update if RPC doesn't exist
+    // Fallback to manual update if RPC doesn't exist. Bump the version
+    // here too, so the history keeps the previous value.
+    const { data: current, error: fetchError } = await supabase
+      .from('configurations')
+      .select('version')
+      .eq('config_key', key)
+      .single();
+
+    if (fetchError || !current) {
+      throw new Error(`Config "${key}" not found`);
+    }
+
     const { data: fallbackData, error: fallbackError } = await supabase
       .from('configurations')
       .update({
         config_value: value,
+        version: current.version + 1,
         updated_at: new Date().toISOString(),
       })
       .eq('config_key', key)
@@ -50,12 +63,16 @@ export async function updateConfig(key, value, options = {}) {
       throw new Error(`Failed to update config "${key}": ${fallbackError.message}`);
     }
 
+    await recordVersion(key, { updatedBy, reason });
+
     // Clear cache for this key
     clearCacheKey(key);
 
     return fallbackData;
   }
 
+  await recordVersion(key, { updatedBy, reason });
+
   // Clear cache for this key
   clearCacheKey(key);
 
@@ -75,10 +92,12 @@ export async function updateConfig(key, value, options = {}) {
  * @param {string} content - The new content string
  * @param {Object} options - Options
  * @param {string} options.updatedBy - Who is making the update
+ * @param {string} options.reason - Why the change was made, kept in the history
  * @returns {Promise<Object>} The updated config row
+ * @throws {ConfigValidationError} When the content has template errors
  */
 export async function updatePromptSection(sectionKey, content, options = {}) {
-  const { updatedBy = 'system' } = options;
+  const { updatedBy = 'system', reason = null } = options;
 
   // Validate it's a prompt section
   if (!sectionKey.startsWith('prompt_')) {
@@ -86,11 +105,24 @@ export async function updatePromptSection(sectionKey, content, options = {}) {
   }
 
   const newValue = { content };
+  assertValidConfigValue(sectionKey, newValue);
+
+  const { data: current, error: fetchError } = await supabase
+    .from('configurations')
+    .select('version')
+    .eq('config_key', sectionKey)
+    .eq('config_type', 'prompt_section')
+    .single();
+
+  if (fetchError || !current) {
+    throw new Error(`Prompt section "${sectionKey}" not found`);
+  }
 
   const { data, error } = await supabase
     .from('configurations')
     .update({
       config_value: newValue,
+      version: current.version + 1,
       updated_at: new Date().toISOString(),
     })
     .eq('config_key', sectionKey)
@@ -102,6 +134,8 @@ export async function updatePromptSection(sectionKey, content, options = {}) {
     throw new Error(`Failed to update prompt section "${sectionKey}": ${error.message}`);
   }
 
+  await recordVersion(sectionKey, { updatedBy, reason });
+
   // Clear cache for prompt sections
   clearCacheKey(sectionKey);
   clearCacheKey('prompt_section'); // Clear the type cache too
@@ -114,10 +148,13 @@ export async function updatePromptSection(sectionKey, content, options = {}) {
  * @param {string} key - The threshold key
  * @param {number} value - The new numeric value
  * @param {Object} options - Options
+ * @param {string} options.updatedBy - Who is making the update
+ * @param {string} options.description - Optional description stored with the value
+ * @param {string} options.reason - Why the change was made, kept in the history
  * @returns {Promise<Object>} The updated config row
  */
 export async function updateThreshold(key, value, options = {}) {
-  const { updatedBy = 'system', description } = options;
+  const { updatedBy = 'system', description, reason = null } = options;
 
   // Get current config to preserve other properties
   const { data: current } = await supabase
@@ -135,7 +172,7 @@ export async function updateThreshold(key, value, options = {}) {
     newValue.description = description;
   }
 
-  return updateConfig(key, newValue, { updatedBy });
+  return updateConfig(key, newValue, { updatedBy, reason });
 }
 
 /**
@@ -165,6 +202,49 @@ export async function setConfigActive(key, isActive) {
   return data;
 }
 
+/**
+ * Update a configuration's metadata (not its value)
+ * Metadata is not versioned; config_versions only tracks config_value.
+ * @param {string} key - The config key
+ * @param {Object} fields - Fields to change; omitted fields are left as is
+ * @param {string} fields.type - Config type
+ * @param {string} fields.description - Human-readable description
+ * @param {string} fields.parentKey - Parent key for hierarchical configs
+ * @param {number} fields.displayOrder - Order for display/assembly
+ * @param {boolean} fields.isActive - Whether the config is active
+ * @returns {Promise<Object>} The updated config row
+ */
+export async function updateConfigMetadata(key, fields) {
+  const columns = {
+    type: 'config_type',
+    description: 'description',
+    parentKey: 'parent_key',
+    displayOrder: 'display_order',
+    isActive: 'is_active',
+  };
+
+  const updateData = { updated_at: new Date().toISOString() };
+  for (const [field, column] of Object.entries(columns)) {
+    if (fields[field] !== undefined) updateData[column] = fields[field];
+  }
+
+  const { data, error } = await supabase
+    .from('configurations')
+    .update(updateData)
+    .eq('config_key', key)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update metadata of config "${key}": ${error.message}`);
+  }
+
+  // Type, order and activation all affect type queries
+  clearCache();
+
+  return data;
+}
+
 /**
  * Create a new configuration
  * @param {Object} config - The configuration to create
@@ -174,7 +254,11 @@ export async function setConfigActive(key, isActive) {
  * @param {string} config.description - Human-readable description
  * @param {string} config.parentKey - Parent key for hierarchical configs
  * @param {number} config.displayOrder - Order for display/assembly
+ * @param {boolean} config.isActive - Whether the config is active
+ * @param {string} config.updatedBy - Who is creating it, kept in the history
+ * @param {string} config.reason - Why, kept in the history
  * @returns {Promise<Object>} The created config row
+ * @throws {ConfigValidationError} When the value doesn't match the key's schema
  */
 export async function createConfig(config) {
   const {
@@ -184,8 +268,22 @@ export async function createConfig(config) {
     description = '',
     parentKey = null,
     displayOrder = 0,
+    isActive = true,
+    updatedBy = 'system',
+    reason = null,
   } = config;
 
+  assertValidConfigValue(key, value);
+
+  // A key that was deleted keeps its history, so continue its numbering
+  const { data: lastVersion } = await supabase
+    .from('config_versions')
+    .select('version')
+    .eq('config_key', key)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
   const { data, error } = await supabase
     .from('configurations')
     .insert({
@@ -195,8 +293,9 @@ export async function createConfig(config) {
       description,
       parent_key: parentKey,
       display_order: displayOrder,
-      is_active: true,
-      version: 1,
+      is_active: isActive,
+      version: (lastVersion?.version ?? 0) + 1,
+      created_by: updatedBy,
     })
     .select()
     .single();
@@ -205,6 +304,8 @@ export async function createConfig(config) {
     throw new Error(`Failed to create config "${key}": ${error.message}`);
   }
 
+  await recordVersion(key, { changeType: 'create', updatedBy, reason });
+
   // Clear cache for this type
   clearCacheKey(type);
 
@@ -213,10 +314,39 @@ export async function createConfig(config) {
 
 /**
  * Delete a configuration (hard delete - use with caution)
+ * The last value is recorded as a 'delete' version first, and the
+ * history is kept, so the key can be recreated and rolled back.
  * @param {string} key - The config key to delete
+ * @param {Object} options - Options
+ * @param {string} options.updatedBy - Who is deleting it, kept in the history
+ * @param {string} options.reason - Why, kept in the history
  * @returns {Promise<boolean>} Whether deletion was successful
  */
-export async function deleteConfig(key) {
+export async function deleteConfig(key, options = {}) {
+  const { updatedBy = 'system', reason = null } = options;
+
+  const { data: current, error: fetchError } = await supabase
+    .from('configurations')
+    .select('version')
+    .eq('config_key', key)
+    .single();
+
+  if (fetchError || !current) {
+    throw new Error(`Config "${key}" not found`);
+  }
+
+  // Bump the version so the deletion is its own entry in the history
+  const { error: bumpError } = await supabase
+    .from('configurations')
+    .update({ version: current.version + 1, updated_at: new Date().toISOString() })
+    .eq('config_key', key);
+
+  if (bumpError) {
+    throw new Error(`Failed to delete config "${key}": ${bumpError.message}`);
+  }
+
+  await recordVersion(key, { updatedBy, reason, changeType: 'delete' });
+
   const { error } = await supabase
     .from('configurations')
     .delete()
@@ -233,32 +363,195 @@ export async function deleteConfig(key) {
 }
 
 /**
- * Get version history for a config (not implemented in current schema)
- * This would require a separate config_versions table
+ * Get version history for a config, newest first
  * @param {string} key - The config key
+ * @param {Object} options - Options
+ * @param {number} options.limit - Max versions to return
  * @returns {Promise<Array>} Version history
  */
-export async function getConfigHistory(key) {
-  // Current implementation only tracks current version
-  // Could be extended with a config_versions table
+export async function getConfigHistory(key, options = {}) {
+  const { limit = 50 } = options;
+
   const { data, error } = await supabase
+    .from('config_versions')
+    .select('*')
+    .eq('config_key', key)
+    .order('version', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.warn(`⚠️ Failed to load history for config "${key}": ${error.message}`);
+    return [];
+  }
+
+  return data.map(formatVersion);
+}
+
+/**
+ * Get a single version of a config
+ * @param {string} key - The config key
+ * @param {number} version - The version number
+ * @returns {Promise<Object>} The version, as returned by getConfigHistory
+ */
+export async function getConfigVersion(key, version) {
+  const { data, error } = await supabase
+    .from('config_versions')
+    .select('*')
+    .eq('config_key', key)
+    .eq('version', version)
+    .single();
+
+  if (error || !data) {
+    throw new Error(`Version ${version} of config "${key}" not found`);
+  }
+
+  return formatVersion(data);
+}
+
+/**
+ * Diff two versions of a config
+ * @param {string} key - The config key
+ * @param {number} fromVersion - The older version
+ * @param {number} toVersion - The newer version (default: latest)
+ * @returns {Promise<{key: string, from: Object, to: Object, changes: Array}>}
+ */
+export async function diffConfigVersions(key, fromVersion, toVersion = null) {
+  const from = await getConfigVersion(key, fromVersion);
+  const to = toVersion != null
+    ? await getConfigVersion(key, toVersion)
+    : (await getConfigHistory(key, { limit: 1 }))[0];
+
+  if (!to) {
+    throw new Error(`No history for config "${key}"`);
+  }
+
+  return {
+    key,
+    from: { version: from.version, updatedBy: from.updatedBy, updatedAt: from.updatedAt },
+    to: { version: to.version, updatedBy: to.updatedBy, updatedAt: to.updatedAt },
+    changes: diffConfigValues(from.value, to.value),
+  };
+}
+
+/**
+ * Diff two config values
+ * Objects are compared key by key; arrays and scalars are compared whole.
+ * @param {any} before - The older value
+ * @param {any} after - The newer value
+ * @param {string} path - Path of the values within the config (dot-separated)
+ * @returns {Array<{path: string, type: string, before?: any, after?: any}>} type is added, removed or changed
+ */
+export function diffConfigValues(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap((k) => {
+      const childPath = path ? `${path}.${k}` : k;
+      if (!(k in before)) return [{ path: childPath, type: 'added', after: after[k] }];
+      if (!(k in after)) return [{ path: childPath, type: 'removed', before: before[k] }];
+      return diffConfigValues(before[k], after[k], childPath);
+    });
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path, type: 'changed', before, after }];
+}
+
+/**
+ * Restore a config to the value it had at a previous version
+ * The restore is a new version, so it can itself be rolled back.
+ * @param {string} key - The config key
+ * @param {number} version - The version to restore
+ * @param {Object} options - Options
+ * @param {string} options.updatedBy - Who is rolling back
+ * @param {string} options.reason - Why, kept in the history
+ * @returns {Promise<Object>} The updated config row
+ * @throws {ConfigValidationError} When the old value doesn't match the current schema
+ */
+export async function rollbackConfig(key, version, options = {}) {
+  const { updatedBy = 'system', reason = `Rollback to version ${version}` } = options;
+
+  const target = await getConfigVersion(key, version);
+
+  // The schema may have tightened since the version was written
+  assertValidConfigValue(key, target.value);
+
+  const { data: current, error: fetchError } = await supabase
     .from('configurations')
-    .select('config_key, config_value, version, updated_at')
+    .select('version, config_type')
     .eq('config_key', key)
     .single();
 
+  if (fetchError || !current) {
+    throw new Error(`Config "${key}" not found; a deleted config must be recreated (createConfig) before it can be rolled back`);
+  }
+
+  const { data, error } = await supabase
+    .from('configurations')
+    .update({
+      config_value: target.value,
+      version: current.version + 1,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('config_key', key)
+    .select()
+    .single();
+
   if (error) {
-    return [];
+    throw new Error(`Failed to roll back config "${key}" to version ${version}: ${error.message}`);
   }
 
-  // Return single entry as "history"
-  return [
-    {
-      version: data.version,
-      value: data.config_value,
-      updatedAt: data.updated_at,
-    },
-  ];
+  await recordVersion(key, { updatedBy, reason, changeType: 'rollback', restoredFrom: version });
+
+  // Clear the key and its type, so the assembled prompt picks up a restored section
+  clearCacheKey(key);
+  clearCacheKey(current.config_type);
+
+  console.log(`⏪ Rolled back config "${key}" to version ${version} (now version ${data.version})`);
+
+  return data;
+}
+
+/**
+ * Record a config's current value in config_versions
+ * A failure is logged rather than thrown, since the config itself has
+ * already been written
+ * @param {string} key - The config key
+ * @param {Object} options - Options
+ * @param {string} options.updatedBy - Who made the change
+ * @param {string} options.reason - Why the change was made
+ * @param {string} options.changeType - create, update, rollback or delete
+ * @param {number} options.restoredFrom - For rollbacks, the version restored
+ */
+async function recordVersion(key, options = {}) {
+  const { updatedBy = 'system', reason = null, changeType = 'update', restoredFrom = null } = options;
+
+  const { error } = await supabase.rpc('record_config_version', {
+    p_key: key,
+    p_changed_by: updatedBy,
+    p_change_reason: reason,
+    p_change_type: changeType,
+    p_restored_from_version: restoredFrom,
+  });
+
+  if (error) {
+    console.warn(`⚠️ Failed to record history for config "${key}": ${error.message}`);
+  }
+}
+
+function formatVersion(row) {
+  return {
+    version: row.version,
+    value: row.config_value,
+    changeType: row.change_type,
+    reason: row.change_reason,
+    restoredFrom: row.restored_from_version,
+    updatedBy: row.changed_by,
+    updatedAt: row.created_at,
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
@@ -268,12 +561,12 @@ export async function getConfigHistory(key) {
  * @returns {Promise<Array>} Array of updated configs
  */
 export async function bulkUpdateConfigs(updates, options = {}) {
-  const { updatedBy = 'system' } = options;
+  const { updatedBy = 'system', reason = null } = options;
   const results = [];
 
   for (const update of updates) {
     try {
-      const result = await updateConfig(update.key, update.value, { updatedBy });
+      const result = await updateConfig(update.key, update.value, { updatedBy, reason });
       results.push({ key: update.key, success: true, data: result });
     } catch (error) {
       results.push({ key: update.key, success: false, error: error.message });
@@ -285,7 +578,8 @@ export async function bulkUpdateConfigs(updates, options = {}) {
 
 /**
  * Clone a configuration with a new key
- * Useful for A/B testing prompt variations
+ * Useful for drafting prompt variations; A/B test them with the
+ * prompt_experiments config (see prompts/prompt-experiments.js)
  * @param {string} sourceKey - The key to clone from
  * @param {string} newKey - The new key for the clone
  * @param {Object} options - Options
@@ -326,6 +620,8 @@ export async function cloneConfig(sourceKey, newKey, options = {}) {
     throw new Error(`Failed to clone config: ${cloneError.message}`);
   }
 
+  await recordVersion(newKey, { changeType: 'create', reason: `Clone of ${sourceKey}` });
+
   return clone;
 }
 
@@ -334,9 +630,14 @@ export default {
   updatePromptSection,
   updateThreshold,
   setConfigActive,
+  updateConfigMetadata,
   createConfig,
   deleteConfig,
   getConfigHistory,
+  getConfigVersion,
+  diffConfigVersions,
+  diffConfigValues,
+  rollbackConfig,
   bulkUpdateConfigs,
   cloneConfig,
 };
@@ -0,0 +1,155 @@
+/**
+ * Experiment Report - Compares prompt experiment variants
+ *
+ * Usage: node scripts/experiment-report.js [--experiment=NAME] [--days=N]
+ *
+ * For each experiment, compares its variants on duplicate rate,
+ * validation failures, judge scores and reader ratings, over the
+ * generation runs of the last N days (default 30).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { getPromptExperiments } from './config/config-loader.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Failures caused by the model's output rather than the infrastructure
+const VALIDATION_ERROR_PATTERN = /^\[(schema_validation|json_parse|llm_truncation)\]/;
+
+// Case ids per case_feedback query, to keep the URL short
+const FEEDBACK_BATCH_SIZE = 100;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const experimentFilter = args.find(a => a.startsWith('--experiment='))?.split('=')[1] || null;
+  const days = parseInt(args.find(a => a.startsWith('--days='))?.split('=')[1]) || 30;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: logs, error } = await supabase
+    .from('generation_logs')
+    .select('id, status, error_message, similarity_score, variant_scores, case_study_id, prompt_experiments')
+    .not('prompt_experiments', 'is', null)
+    .neq('status', 'processing')
+    .gte('created_at', since);
+
+  if (error) throw error;
+
+  const ratings = await getRatings(logs.map(l => l.case_study_id).filter(Boolean));
+  const experiments = await getPromptExperiments();
+  const stats = summarize(logs, ratings);
+
+  const names = [...new Set([...Object.keys(stats), ...Object.keys(experiments)])]
+    .filter(name => !experimentFilter || name === experimentFilter)
+    .sort();
+
+  const lines = [`### Prompt Experiments (last ${days} days)`, ''];
+
+  if (names.length === 0) {
+    lines.push(experimentFilter ? `⚠️ No runs or config for experiment "${experimentFilter}"` : 'No prompt experiments configured or recorded');
+  }
+
+  for (const name of names) {
+    lines.push(...formatExperiment(name, experiments[name], stats[name] || {}), '');
+  }
+
+  console.log(lines.join('\n').trim());
+}
+
+/**
+ * Load reader ratings for the given cases
+ * @param {string[]} caseIds - case_studies ids
+ * @returns {Promise<Map<string, number[]>>} Case id -> ratings
+ */
+async function getRatings(caseIds) {
+  const ratings = new Map();
+
+  for (let i = 0; i < caseIds.length; i += FEEDBACK_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('case_feedback')
+      .select('case_study_id, rating')
+      .in('case_study_id', caseIds.slice(i, i + FEEDBACK_BATCH_SIZE));
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      if (!ratings.has(row.case_study_id)) ratings.set(row.case_study_id, []);
+      ratings.get(row.case_study_id).push(row.rating);
+    }
+  }
+
+  return ratings;
+}
+
+/**
+ * Tally outcomes per experiment and variant
+ * A run counts as a duplicate when it ended skipped with a similarity
+ * score, so runs where no candidate passed pre-screening are excluded.
+ * @param {Object[]} logs - generation_logs rows with prompt_experiments
+ * @param {Map<string, number[]>} ratings - Case id -> reader ratings
+ * @returns {Object} Experiment -> variant -> counts
+ */
+function summarize(logs, ratings) {
+  const stats = {};
+
+  for (const log of logs) {
+    for (const [experiment, variant] of Object.entries(log.prompt_experiments || {})) {
+      stats[experiment] ??= {};
+      const s = stats[experiment][variant] ??= {
+        runs: 0, completed: 0, duplicates: 0, validationFailures: 0,
+        judgeScores: [], ratings: [],
+      };
+
+      s.runs++;
+      if (log.status === 'completed') s.completed++;
+      if (log.status === 'skipped_duplicate' && log.similarity_score != null) s.duplicates++;
+      if (log.status === 'failed' && VALIDATION_ERROR_PATTERN.test(log.error_message || '')) s.validationFailures++;
+
+      const judging = log.variant_scores;
+      const winnerScore = judging?.scores?.[judging.winner - 1]?.overall;
+      if (typeof winnerScore === 'number') s.judgeScores.push(winnerScore);
+
+      if (log.case_study_id) s.ratings.push(...(ratings.get(log.case_study_id) || []));
+    }
+  }
+
+  return stats;
+}
+
+function formatExperiment(name, config, variants) {
+  const status = !config ? 'removed from config' : config.active ? 'active' : 'inactive';
+  const lines = [
+    `#### ${name} (${status})`,
+    '',
+    '| Variant | Weight | Runs | Completed | Duplicate rate | Validation failures | Judge score | Reader rating |',
+    '|---------|--------|------|-----------|----------------|---------------------|-------------|---------------|',
+  ];
+
+  const variantNames = [...new Set([...Object.keys(config?.variants || {}), ...Object.keys(variants)])];
+
+  for (const variant of variantNames) {
+    const s = variants[variant] || { runs: 0, completed: 0, duplicates: 0, validationFailures: 0, judgeScores: [], ratings: [] };
+    const weight = config?.variants?.[variant] ? (config.variants[variant].weight ?? 1) : '-';
+
+    lines.push(`| ${variant} | ${weight} | ${s.runs} | ${s.completed} | ${rate(s.duplicates, s.runs)} | ${rate(s.validationFailures, s.runs)} | ${average(s.judgeScores)} | ${average(s.ratings, '/5')} |`);
+  }
+
+  return lines;
+}
+
+function rate(count, total) {
+  return total > 0 ? `${(count / total * 100).toFixed(1)}% (${count})` : '-';
+}
+
+function average(values, suffix = '') {
+  if (values.length === 0) return '-';
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return `${mean.toFixed(2)}${suffix} (n=${values.length})`;
+}
+
+main().catch(err => {
+  console.error('Error generating experiment report:', err.message);
+  process.exit(1);
+});
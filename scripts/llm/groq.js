@@ -0,0 +1,53 @@
+/**
+ * Groq Provider
+ *
+ * Hosted Llama models via groq-sdk.
+ */
+
+import Groq from 'groq-sdk';
+
+// USD per million tokens
+export const GROQ_PRICING = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+};
+
+// Used for models missing from GROQ_PRICING, so unknown models are not treated as free
+const DEFAULT_PRICING = GROQ_PRICING['llama-3.3-70b-versatile'];
+
+// Context windows in tokens
+export const GROQ_CONTEXT_WINDOWS = {
+  'llama-3.3-70b-versatile': 131072,
+  'llama-3.1-8b-instant': 131072,
+};
+
+// Used for models missing from GROQ_CONTEXT_WINDOWS
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Create the Groq provider
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - Groq API key (defaults to GROQ_API_KEY)
+ * @returns {import('./providers.js').LlmProvider}
+ */
+export function createGroqProvider(options = {}) {
+  const { apiKey = process.env.GROQ_API_KEY } = options;
+
+  if (!apiKey) {
+    throw new Error('Missing required environment variable: GROQ_API_KEY');
+  }
+
+  // SDK retries are disabled so 429s reach the caller, which pauses
+  // every parallel case rather than each retrying on its own
+  const client = new Groq({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'groq',
+    local: false,
+    createChatCompletion: (params) => client.chat.completions.create(params),
+    getPricing: (model) => GROQ_PRICING[model] || DEFAULT_PRICING,
+    getContextWindow: (model) => GROQ_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW,
+  };
+}
+
+export default createGroqProvider;
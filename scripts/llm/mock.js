@@ -0,0 +1,151 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic offline stand-in for an LLM: the same messages always
+ * produce the same response. JSON-mode calls return a complete case in
+ * the current template (or judge scores for best-of-N judging), so the
+ * whole pipeline can run without network access or API keys.
+ */
+
+import crypto from 'crypto';
+import { QUESTION_TYPES, DIFFICULTIES } from '../utils/case-schema.js';
+
+// Rough token count used for the reported usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Create the mock provider
+ * @returns {import('./providers.js').LlmProvider}
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    local: true,
+    createChatCompletion: async (params) => {
+      const prompt = params.messages.map(m => m.content).join('\n');
+      const seed = crypto.createHash('sha256').update(`${params.model}\n${prompt}`).digest();
+      const userPrompt = params.messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+
+      let content;
+      if (params.response_format?.type !== 'json_object') {
+        content = mockKeywords(userPrompt);
+      } else if (/Score all (\d+) variants/.test(userPrompt)) {
+        content = JSON.stringify(mockJudgement(userPrompt, seed));
+      } else {
+        content = JSON.stringify(mockCase(userPrompt, seed));
+      }
+
+      const promptTokens = Math.ceil(prompt.length / CHARS_PER_TOKEN);
+      const completionTokens = Math.ceil(content.length / CHARS_PER_TOKEN);
+
+      return {
+        id: `mock-${seed.toString('hex').substring(0, 12)}`,
+        model: params.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+    getPricing: () => ({ input: 0, output: 0 }),
+    getContextWindow: () => 131072,
+  };
+}
+
+/**
+ * Build a case in the current template from the transform prompt
+ * @param {string} userPrompt - The transform user prompt
+ * @param {Buffer} seed - Hash of the request
+ * @returns {Object}
+ */
+function mockCase(userPrompt, seed) {
+  const company = userPrompt.match(/COMPANY\/SUBJECT: (.+)/)?.[1]?.trim() || 'Acme';
+  const questionType = userPrompt.match(/prefer a (.+?) question/)?.[1]
+    || QUESTION_TYPES[seed[0] % QUESTION_TYPES.length];
+  const difficulty = userPrompt.match(/(beginner|intermediate|advanced) difficulty/)?.[1]
+    || DIFFICULTIES[seed[1] % DIFFICULTIES.length];
+  const tag = seed.toString('hex').substring(0, 6);
+
+  return {
+    title: `${company}: ${questionType} case ${tag}`,
+    the_question: `You are the PM at ${company}. How would you approach this ${questionType.toLowerCase()} problem?`,
+    read_time_minutes: 3,
+    what_happened: `${company} faced a decision that called for ${questionType.toLowerCase()}. This is mock content generated offline for case ${tag}.`,
+    mental_model: {
+      flow: 'Clarify → Diagnose → Decide',
+      intro: 'A simple three-step frame for this question.',
+      steps: ['Clarify the goal', 'Diagnose the drivers', 'Decide and measure'],
+      disclaimer: 'One of several valid approaches.',
+    },
+    answer_approach: Array.from({ length: 7 }, (_, i) => ({
+      part_number: i + 1,
+      title: `Part ${i + 1}`,
+      time_estimate: '2 min',
+      what_you_say: `Step ${i + 1} of the answer for ${company}.`,
+      questions_to_ask: [`What does success look like for step ${i + 1}?`],
+      thinking: `Why step ${i + 1} matters.`,
+    })),
+    pushback_scenarios: [
+      { if_they_say: 'What if the data is incomplete?', you_say: 'I would state my assumptions and pick a leading indicator.' },
+      { if_they_say: 'Why not build it anyway?', you_say: 'Because the opportunity cost is higher than the expected gain.' },
+    ],
+    summary: {
+      approach: ['Clarify', 'Diagnose', 'Decide'],
+      key_insight: `The constraint at ${company} shapes the answer more than the feature does.`,
+    },
+    interviewer_evaluation: Array.from({ length: 6 }, (_, i) => `Evaluation point ${i + 1}`),
+    common_mistakes: Array.from({ length: 5 }, (_, i) => `Common mistake ${i + 1}`),
+    practice: {
+      question: `How would your answer change if ${company} had half the budget?`,
+      guidance: 'Revisit the prioritization step first.',
+    },
+    difficulty,
+    question_type: questionType,
+    seniority_level: seed[2] % 4,
+    frameworks_applicable: ['RICE'],
+    industry: 'Technology',
+    tags: ['mock', tag],
+    company_name: company,
+    asked_in_company: null,
+    image_prompt: `Minimal diagram of the decision ${company} faced`,
+  };
+}
+
+/**
+ * Score best-of-N variants deterministically
+ * @param {string} userPrompt - The judge user prompt
+ * @param {Buffer} seed - Hash of the request
+ * @returns {Object}
+ */
+function mockJudgement(userPrompt, seed) {
+  const count = parseInt(userPrompt.match(/Score all (\d+) variants/)[1]);
+
+  return {
+    scores: Array.from({ length: count }, (_, i) => {
+      const score = 5 + (seed[i] % 5);
+      return {
+        variant: i + 1,
+        source_fidelity: score,
+        interview_realism: score,
+        structure: score,
+        criteria_fit: score,
+        overall: score,
+        rationale: `Mock score for variant ${i + 1}`,
+      };
+    }),
+  };
+}
+
+/**
+ * Comma-separated keywords for plain-text calls
+ * @param {string} userPrompt - The user prompt
+ * @returns {string}
+ */
+function mockKeywords(userPrompt) {
+  const words = userPrompt.toLowerCase().match(/[a-z]{5,}/g) || [];
+  return [...new Set(words)].slice(0, 20).join(', ');
+}
+
+export default createMockProvider;
@@ -0,0 +1,99 @@
+/**
+ * Model Catalog
+ *
+ * Per-model prices and limits from the model_catalog config, so every
+ * LLM call is costed the same way and switching groq_model (or a spend
+ * governor downgrade) is priced correctly. Models missing from the
+ * catalog fall back to the active provider's built-in figures. Local
+ * providers are always free.
+ *
+ * Catalog entries are keyed by model name:
+ *   { "llama-3.3-70b-versatile": { "input": 0.59, "output": 0.79,
+ *     "context_window": 131072, "max_output_tokens": 32768 } }
+ * Prices are USD per million tokens.
+ */
+
+import { getModelCatalog } from '../config/config-loader.js';
+import { getLlmProvider } from './providers.js';
+
+const FREE_PRICING = { input: 0, output: 0 };
+
+// Catalog used by this process (loaded once per run)
+let catalog = {};
+
+/**
+ * Load the model catalog from config
+ * @returns {Promise<Object>} The catalog, keyed by model name
+ */
+export async function loadModelCatalog() {
+  catalog = (await getModelCatalog()) || {};
+  return catalog;
+}
+
+/**
+ * Get the price and limits for a model
+ * @param {string} model - Model name
+ * @param {import('./providers.js').LlmProvider} provider - Provider serving the model (defaults to the active one)
+ * @returns {{input: number, output: number, contextWindow: number, maxOutputTokens: number|null, source: string}}
+ *   source is 'catalog' when the model has a catalog entry, otherwise 'provider'
+ */
+export function getModelInfo(model, provider = getLlmProvider()) {
+  const entry = catalog[model];
+  const pricing = provider.local
+    ? FREE_PRICING
+    : entry?.input != null && entry?.output != null
+      ? { input: entry.input, output: entry.output }
+      : provider.getPricing(model);
+
+  return {
+    input: pricing.input,
+    output: pricing.output,
+    contextWindow: entry?.context_window || provider.getContextWindow(model),
+    maxOutputTokens: entry?.max_output_tokens || null,
+    source: entry ? 'catalog' : 'provider',
+  };
+}
+
+/**
+ * Get per-token pricing for a model
+ * @param {string} model - Model name
+ * @param {import('./providers.js').LlmProvider} provider - Provider serving the model (defaults to the active one)
+ * @returns {{input: number, output: number}} USD per million tokens
+ */
+export function getModelPricing(model, provider) {
+  const { input, output } = getModelInfo(model, provider);
+  return { input, output };
+}
+
+/**
+ * Calculate the cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @param {import('./providers.js').LlmProvider} provider - Provider serving the model (defaults to the active one)
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(model, promptTokens, completionTokens, provider) {
+  const pricing = getModelPricing(model, provider);
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+}
+
+/**
+ * Cap max_tokens at the model's output limit
+ * @param {string} model - Model name
+ * @param {number} maxTokens - Requested max_tokens
+ * @param {import('./providers.js').LlmProvider} provider - Provider serving the model (defaults to the active one)
+ * @returns {number}
+ */
+export function clampMaxTokens(model, maxTokens, provider) {
+  const { maxOutputTokens } = getModelInfo(model, provider);
+  return maxOutputTokens && maxTokens > maxOutputTokens ? maxOutputTokens : maxTokens;
+}
+
+export default {
+  loadModelCatalog,
+  getModelInfo,
+  getModelPricing,
+  calculateCost,
+  clampMaxTokens,
+};
@@ -0,0 +1,115 @@
+/**
+ * OpenAI-Compatible Providers
+ *
+ * Any server exposing POST /chat/completions in the OpenAI format:
+ * hosted vendors (OpenAI, Together, Fireworks, OpenRouter...) and local
+ * servers such as Ollama and llama.cpp.
+ */
+
+import { GenerationError } from '../utils/errors.js';
+
+// Local models can take minutes for a 4000-token case
+const DEFAULT_TIMEOUT_MS = 300000;
+
+// Hosted pricing is unknown here; price unknown models like the Groq
+// default rather than treating them as free
+const DEFAULT_PRICING = { input: 0.59, output: 0.79 };
+
+const FREE_PRICING = { input: 0, output: 0 };
+
+// Context window when LLM_CONTEXT_WINDOW isn't set (a common local server default)
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Create a provider for an OpenAI-compatible endpoint
+ * @param {Object} options - Options
+ * @param {string} options.name - Provider name for logs
+ * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+ * @param {string|null} options.apiKey - Bearer token, if the server needs one
+ * @param {boolean} options.local - Runs on this machine (free, no rate limits)
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @param {number} options.contextWindow - Model context window in tokens (defaults to LLM_CONTEXT_WINDOW)
+ * @returns {import('./providers.js').LlmProvider}
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const {
+    name = 'openai_compatible',
+    baseUrl = process.env.LLM_BASE_URL,
+    apiKey = process.env.LLM_API_KEY || null,
+    local = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    contextWindow = parseInt(process.env.LLM_CONTEXT_WINDOW) || DEFAULT_CONTEXT_WINDOW,
+  } = options;
+
+  if (!baseUrl) {
+    throw new Error(`Missing required environment variable for ${name} provider: LLM_BASE_URL`);
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    local,
+    createChatCompletion: async (params) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify(params),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new GenerationError(
+          `HTTP ${response.status} from ${name}: ${body.substring(0, 200)}`,
+          { status: response.status }
+        );
+        error.headers = response.headers;
+        throw error;
+      }
+
+      return response.json();
+    },
+    getPricing: () => (local ? FREE_PRICING : DEFAULT_PRICING),
+    getContextWindow: () => contextWindow,
+  };
+}
+
+/**
+ * Create a provider for a local Ollama server (OpenAI-compatible API)
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Defaults to LLM_BASE_URL or http://localhost:11434/v1
+ * @returns {import('./providers.js').LlmProvider}
+ */
+export function createOllamaProvider(options = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'ollama',
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    local: true,
+    ...options,
+  });
+}
+
+/**
+ * Create a provider for a local llama.cpp server (llama-server)
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Defaults to LLM_BASE_URL or http://localhost:8080/v1
+ * @returns {import('./providers.js').LlmProvider}
+ */
+export function createLlamaCppProvider(options = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'llama_cpp',
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:8080/v1',
+    local: true,
+    ...options,
+  });
+}
+
+export default {
+  createOpenAICompatibleProvider,
+  createOllamaProvider,
+  createLlamaCppProvider,
+};
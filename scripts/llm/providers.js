@@ -0,0 +1,114 @@
+/**
+ * LLM Providers
+ *
+ * Every model call goes through an LlmProvider, so the engine can switch
+ * vendors or run fully offline without code changes. The provider is
+ * chosen by the llm_provider config (overridable with LLM_PROVIDER):
+ *
+ *   groq              - Groq API (GROQ_API_KEY)
+ *   openai_compatible - Any OpenAI-format endpoint (LLM_BASE_URL, LLM_API_KEY)
+ *   ollama            - Local Ollama server (LLM_BASE_URL, default http://localhost:11434/v1)
+ *   llama_cpp         - Local llama.cpp server (LLM_BASE_URL, default http://localhost:8080/v1)
+ *   mock              - Deterministic offline responses
+ */
+
+import { getLlmProviderName } from '../config/config-loader.js';
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider, createOllamaProvider, createLlamaCppProvider } from './openai-compatible.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * LLM provider
+ * @typedef {Object} LlmProvider
+ * @property {string} name - Provider name
+ * @property {boolean} local - Runs on this machine (free, no shared rate limits)
+ * @property {Function} createChatCompletion - Async (params) => response. Takes OpenAI-format
+ *   params (model, messages, max_tokens, temperature, response_format: { type: 'json_object' })
+ *   and returns an OpenAI-format response ({ choices: [{ message, finish_reason }], usage }).
+ *   HTTP failures are thrown with `status` (and `headers`) so they classify like SDK errors.
+ * @property {Function} getPricing - (model) => { input, output } in USD per million tokens
+ * @property {Function} getContextWindow - (model) => context window in tokens
+ */
+
+// Provider factories keyed by llm_provider value
+export const PROVIDERS = {
+  groq: createGroqProvider,
+  openai_compatible: createOpenAICompatibleProvider,
+  ollama: createOllamaProvider,
+  llama_cpp: createLlamaCppProvider,
+  mock: createMockProvider,
+};
+
+export const DEFAULT_PROVIDER = 'groq';
+
+// Provider used by this process
+let activeProvider = null;
+
+// Other providers created for the model fallback chain, keyed by name
+const fallbackProviders = new Map();
+
+/**
+ * Create a provider by name
+ * @param {string} name - One of PROVIDERS
+ * @param {Object} options - Provider-specific options
+ * @returns {LlmProvider}
+ */
+export function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}. Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Select the provider for this process from config
+ * LLM_PROVIDER takes precedence over the llm_provider config.
+ * @returns {Promise<LlmProvider>}
+ */
+export async function loadLlmProvider() {
+  const name = process.env.LLM_PROVIDER || await getLlmProviderName();
+
+  if (activeProvider?.name !== name) {
+    activeProvider = createProvider(name);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Get the active provider
+ * Falls back to LLM_PROVIDER or Groq if loadLlmProvider() hasn't run.
+ * @returns {LlmProvider}
+ */
+export function getLlmProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(process.env.LLM_PROVIDER || DEFAULT_PROVIDER);
+  }
+  return activeProvider;
+}
+
+/**
+ * Get a provider by name, reusing the active one when it matches
+ * Used by the model fallback chain, whose entries may name other providers.
+ * @param {string} name - One of PROVIDERS
+ * @returns {LlmProvider}
+ */
+export function getProviderByName(name) {
+  const active = getLlmProvider();
+  if (!name || name === active.name) return active;
+
+  if (!fallbackProviders.has(name)) {
+    fallbackProviders.set(name, createProvider(name));
+  }
+  return fallbackProviders.get(name);
+}
+
+export default {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  createProvider,
+  loadLlmProvider,
+  getLlmProvider,
+  getProviderByName,
+};
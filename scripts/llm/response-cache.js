@@ -0,0 +1,176 @@
+/**
+ * LLM Response Cache
+ *
+ * Opt-in local cache of chat completions, so re-running a dry run on the
+ * same source and prompt version doesn't pay for the same calls again.
+ * Entries are content-addressed by:
+ *
+ *   model        - the requested model
+ *   promptHash   - MD5 of the system message (the prompt version hash for
+ *                  transform calls, since the assembled prompt is the system message)
+ *   contentHash  - SHA-256 of everything else in the request: the user and
+ *                  assistant messages (raw content, repairs), the sampling params,
+ *                  and the provider and best-of-N variant the call was made for
+ *                  (unseeded variants send identical requests)
+ *
+ * and stored as <dir>/<model>/<promptHash>/<contentHash>.json, so a prompt
+ * change invalidates the cache and old versions are easy to delete.
+ * Callers write a response only once it has parsed and validated, and
+ * remove an entry whose response failed.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import path from 'path';
+
+// Default cache directory: <repo>/.cache/llm
+export const DEFAULT_CACHE_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../.cache/llm'
+);
+
+// Cache directory for this process; null when caching is off
+let cacheDir = null;
+
+const stats = { hits: 0, misses: 0, writes: 0 };
+
+/**
+ * Turn the cache on or off for this process
+ * @param {Object} options - Options
+ * @param {boolean} options.enabled - Use the cache
+ * @param {string} options.dir - Cache directory (defaults to DEFAULT_CACHE_DIR)
+ */
+export function configureResponseCache({ enabled, dir = DEFAULT_CACHE_DIR } = {}) {
+  cacheDir = enabled ? dir : null;
+}
+
+/**
+ * Whether the cache is on for this process
+ * @returns {boolean}
+ */
+export function isResponseCacheEnabled() {
+  return cacheDir !== null;
+}
+
+/**
+ * Compute the cache key parts for a request
+ * @param {Object} params - Chat completion parameters
+ * @param {Object} scope - What the call was made for
+ * @param {string} scope.provider - Provider name
+ * @param {number} scope.variant - Best-of-N variant number, for transform calls
+ * @returns {{model: string, promptHash: string, contentHash: string}}
+ */
+export function getCacheKey(params, scope = {}) {
+  const { model, messages = [], ...rest } = params;
+  const system = messages.find(m => m.role === 'system')?.content || '';
+
+  const promptHash = crypto.createHash('md5').update(system).digest('hex');
+  const contentHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      messages: messages.filter(m => m.role !== 'system').map(m => [m.role, m.content]),
+      params: Object.fromEntries(
+        Object.entries(rest).filter(([, v]) => v !== undefined).sort(([a], [b]) => a.localeCompare(b))
+      ),
+      provider: scope.provider ?? null,
+      variant: scope.variant ?? null,
+    }))
+    .digest('hex');
+
+  return { model, promptHash, contentHash };
+}
+
+/**
+ * Look up a cached response
+ * @param {Object} params - Chat completion parameters
+ * @param {Object} scope - Provider and variant (see getCacheKey)
+ * @returns {{response: Object, model: string}|null} The response and the model that produced it
+ */
+export function readCachedResponse(params, scope = {}) {
+  if (!cacheDir) return null;
+
+  const filePath = entryPath(getCacheKey(params, scope));
+  if (!existsSync(filePath)) {
+    stats.misses++;
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(readFileSync(filePath, 'utf8'));
+    stats.hits++;
+    return { response: entry.response, model: entry.model };
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+    stats.misses++;
+    return null;
+  }
+}
+
+/**
+ * Store a response
+ * @param {Object} params - Chat completion parameters as requested
+ * @param {Object} result - What the call returned
+ * @param {Object} result.response - Provider response
+ * @param {string} result.model - Model that actually ran (differs from params.model after a downgrade)
+ * @param {Object} scope - Provider and variant (see getCacheKey)
+ */
+export function writeCachedResponse(params, { response, model }, scope = {}) {
+  if (!cacheDir) return;
+
+  const key = getCacheKey(params, scope);
+  const filePath = entryPath(key);
+
+  try {
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, JSON.stringify({
+      ...key,
+      model,
+      cachedAt: new Date().toISOString(),
+      response,
+    }, null, 2));
+    stats.writes++;
+  } catch (error) {
+    // A cache that can't be written shouldn't fail the call
+    console.warn(`⚠️ Could not write LLM cache entry: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a cached response, e.g. one that failed to parse or validate
+ * @param {Object} params - Chat completion parameters as requested
+ * @param {Object} scope - Provider and variant (see getCacheKey)
+ */
+export function removeCachedResponse(params, scope = {}) {
+  if (!cacheDir) return;
+
+  try {
+    rmSync(entryPath(getCacheKey(params, scope)), { force: true });
+  } catch (error) {
+    console.warn(`⚠️ Could not remove LLM cache entry: ${error.message}`);
+  }
+}
+
+/**
+ * Hit/miss counts for this process
+ * @returns {{hits: number, misses: number, writes: number}}
+ */
+export function getResponseCacheStats() {
+  return { ...stats };
+}
+
+function entryPath({ model, promptHash, contentHash }) {
+  const modelDir = String(model).replace(/[^a-zA-Z0-9._-]+/g, '_');
+  return path.join(cacheDir, modelDir, promptHash.substring(0, 12), `${contentHash}.json`);
+}
+
+export default {
+  DEFAULT_CACHE_DIR,
+  configureResponseCache,
+  isResponseCacheEnabled,
+  getCacheKey,
+  readCachedResponse,
+  writeCachedResponse,
+  removeCachedResponse,
+  getResponseCacheStats,
+};
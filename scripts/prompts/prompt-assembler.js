@@ -3,13 +3,20 @@
  *
  * Assembles the system prompt from database-stored sections.
  * Supports section overrides and generates a version hash for tracking.
+ * Sections may be templates (see prompt-template.js), rendered with the
+ * case's variables; the version hash is taken over the unrendered
+ * sections so every case from the same config shares it.
  *
  * NOTE: No longer uses hardcoded fallback prompt.
  * If DB is unavailable, throws an error to prevent generation with outdated prompts.
+ * Sections come from the active config source, so a local config
+ * directory works too; the DB shortcuts below only apply to the database source.
  */
 
 import { getPromptSections, getConfig } from '../config/config-loader.js';
-import { supabase } from '../utils/supabase-client.js';
+import { getConfigSource } from '../config/config-sources.js';
+import { assignExperiments } from './prompt-experiments.js';
+import { renderTemplate, validateTemplate, isTemplate, TemplateError } from './prompt-template.js';
 import crypto from 'crypto';
 
 // Required prompt sections
@@ -30,16 +37,33 @@ const REQUIRED_SECTIONS = [
  * @param {Object} options.overrides - Section key -> content overrides
  * @param {string[]} options.excludeSections - Section keys to exclude
  * @param {boolean} options.throwOnError - If true, throw error instead of returning partial result
- * @returns {Promise<{prompt: string, versionHash: string, sections: string[]}>}
+ * @param {boolean} options.experiments - Assign variants of the active prompt experiments
+ *   (explicit overrides still win)
+ * @param {Object} options.experimentAssignments - Experiment -> variant to reuse, e.g. on resume
+ * @param {Object|null} options.variables - Template variables for the case (see TEMPLATE_VARIABLES);
+ *   null leaves templates unrendered. Sections that render empty are left out.
+ * @returns {Promise<{prompt: string, versionHash: string, sections: string[], experiments: Object}>}
+ *   experiments maps each assigned experiment to its variant
  */
 export async function assembleSystemPrompt(options = {}) {
   const {
-    overrides = {},
+    overrides: explicitOverrides = {},
     excludeSections = [],
     throwOnError = true,
+    experiments = false,
+    experimentAssignments = null,
+    variables = null,
   } = options;
 
   try {
+    let assignments = {};
+    let overrides = explicitOverrides;
+    if (experiments) {
+      const assigned = await assignExperiments({ assignments: experimentAssignments });
+      assignments = assigned.assignments;
+      overrides = { ...assigned.overrides, ...explicitOverrides };
+    }
+
     // Fetch all prompt sections from database
     const sections = await getPromptSections();
 
@@ -67,6 +91,7 @@ export async function assembleSystemPrompt(options = {}) {
 
     // Build the prompt from sections
     const promptParts = [];
+    const templateParts = [];
     const includedSections = [];
 
     for (const section of sections) {
@@ -85,19 +110,30 @@ export async function assembleSystemPrompt(options = {}) {
         content = section.config_value?.content || '';
       }
 
-      if (content) {
-        promptParts.push(content);
+      if (!content) continue;
+      templateParts.push(content);
+
+      // Without variables, still catch template errors before any case runs
+      if (!variables && isTemplate(content)) {
+        const { valid, errors } = validateTemplate(content);
+        if (!valid) throw new TemplateError(`${key}: ${errors.join('; ')}`);
+      }
+
+      const rendered = variables ? renderTemplate(content, variables) : content;
+      if (rendered) {
+        promptParts.push(rendered);
         includedSections.push(key);
       }
     }
 
     const prompt = promptParts.join('\n\n');
-    const versionHash = generateHash(prompt);
+    const versionHash = generateHash(templateParts.join('\n\n'));
 
     return {
       prompt,
       versionHash,
       sections: includedSections,
+      experiments: assignments,
       isFallback: false,
     };
   } catch (error) {
@@ -121,7 +157,12 @@ export async function assembleSystemPrompt(options = {}) {
  * @returns {Promise<{prompt: string, versionHash: string}>}
  */
 export async function getAssembledPromptFromDB() {
+  if (getConfigSource().name !== 'database') {
+    return assembleSystemPrompt({ throwOnError: false });
+  }
+
   try {
+    const { supabase } = await import('../utils/supabase-client.js');
     const { data, error } = await supabase.rpc('get_assembled_prompt');
 
     if (error) throw error;
@@ -143,17 +184,22 @@ export async function getAssembledPromptFromDB() {
  * @returns {Promise<string>}
  */
 export async function getPromptVersionHash() {
-  try {
-    const { data, error } = await supabase.rpc('get_prompt_version_hash');
+  // The DB hash describes DB sections, not file ones
+  if (getConfigSource().name === 'database') {
+    try {
+      const { supabase } = await import('../utils/supabase-client.js');
+      const { data, error } = await supabase.rpc('get_prompt_version_hash');
 
-    if (error) throw error;
+      if (error) throw error;
 
-    return data;
-  } catch (error) {
-    // Calculate client-side
-    const { versionHash } = await assembleSystemPrompt({ throwOnError: false });
-    return versionHash;
+      return data;
+    } catch (error) {
+      // Calculate client-side below
+    }
   }
+
+  const { versionHash } = await assembleSystemPrompt({ throwOnError: false });
+  return versionHash;
 }
 
 /**
@@ -226,8 +272,9 @@ export async function previewPrompt() {
 }
 
 /**
- * Validate that all required sections exist
- * @returns {Promise<{valid: boolean, missing: string[], extra: string[]}>}
+ * Validate that all required sections exist and their templates parse
+ * @returns {Promise<{valid: boolean, missing: string[], extra: string[], templateErrors: Object}>}
+ *   templateErrors maps section keys to their template errors
  */
 export async function validatePromptSections() {
   const sections = await getPromptSections();
@@ -236,10 +283,17 @@ export async function validatePromptSections() {
   const missing = REQUIRED_SECTIONS.filter((k) => !existingKeys.includes(k));
   const extra = existingKeys.filter((k) => !REQUIRED_SECTIONS.includes(k));
 
+  const templateErrors = {};
+  for (const section of sections) {
+    const { valid, errors } = validateTemplate(section.config_value?.content || '');
+    if (!valid) templateErrors[section.config_key] = errors;
+  }
+
   return {
-    valid: missing.length === 0,
+    valid: missing.length === 0 && Object.keys(templateErrors).length === 0,
     missing,
     extra,
+    templateErrors,
     existing: existingKeys,
     required: REQUIRED_SECTIONS,
   };
@@ -247,48 +301,24 @@ export async function validatePromptSections() {
 
 /**
  * Get prompt with source-specific customization
+ * Per-source guidance lives in the prompt sections as conditional blocks.
  * @param {string} sourceType - The source type for customization
+ * @param {Object} variables - Other template variables (company, targets)
  * @returns {Promise<{prompt: string, versionHash: string}>}
  */
-export async function getPromptForSource(sourceType) {
-  // Get base prompt
-  const { prompt: basePrompt, versionHash, sections } = await assembleSystemPrompt();
-
-  // Add source-specific context
-  const sourceContext = getSourceContext(sourceType);
-
-  const fullPrompt = `${basePrompt}\n\n## SOURCE CONTEXT\n${sourceContext}`;
+export async function getPromptForSource(sourceType, variables = {}) {
+  const { prompt, versionHash, sections } = await assembleSystemPrompt({
+    variables: { ...variables, source_type: sourceType },
+  });
 
   return {
-    prompt: fullPrompt,
-    versionHash: generateHash(fullPrompt),
+    prompt,
+    versionHash,
     sourceType,
-    sections: [...sections, 'source_context'],
+    sections,
   };
 }
 
-/**
- * Get source-specific context instructions
- * @param {string} sourceType - The source type
- * @returns {string}
- */
-function getSourceContext(sourceType) {
-  const contexts = {
-    historical_wikipedia: 'This is a historical case. Emphasize the uncertainty and context of the time period. What did decision-makers know then vs. now?',
-    historical_archive: 'This is from archived news. Frame it as a historical lesson with hindsight.',
-    live_news_techcrunch: 'This is current news. Frame it as an active scenario the reader might face.',
-    live_news_hackernews: 'This comes from tech community discussion. Capture the technical and business tension.',
-    live_news_producthunt: 'This is a product launch. Focus on go-to-market strategy and initial traction.',
-    company_blog: 'This is from a company blog. Look for the tension beneath the PR narrative.',
-    company_earnings: 'This is from earnings/financial data. Extract strategic decisions from the numbers.',
-    company_sec_filing: 'This is from SEC filings. Find the strategic decisions hidden in financial disclosure.',
-    framework_classic: 'This is a classic framework case. Teach the framework while adding modern relevance.',
-    framework_book: 'This is from a business book. Extract the core teaching while making it interview-ready.',
-  };
-
-  return contexts[sourceType] || 'Use the source content to create an engaging interview case study.';
-}
-
 export default {
   assembleSystemPrompt,
   getAssembledPromptFromDB,
@@ -0,0 +1,92 @@
+/**
+ * Prompt Experiments
+ *
+ * Named A/B experiments over prompt sections, from the prompt_experiments
+ * config. Each generation run gets one variant of every active experiment,
+ * picked by weight, and the variant's sections replace the DB sections of
+ * the same key for that run:
+ *
+ *   { "intro_tone": { "active": true, "variants": {
+ *       "control":  { "weight": 1 },
+ *       "socratic": { "weight": 1, "sections": { "prompt_system_intro": "..." } } } } }
+ *
+ * A variant without sections is the control. The assignment is recorded
+ * on the generation log and the case, and experiment-report.js compares
+ * the variants.
+ */
+
+import { getPromptExperiments } from '../config/config-loader.js';
+
+/**
+ * Pick a variant by weight
+ * Weights default to 1; a variant with weight 0 is paused.
+ * @param {Object} variants - Variant name -> { weight, sections }
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {string|null} The variant name, or null if every variant is paused
+ */
+export function pickVariant(variants, random = Math.random) {
+  const weighted = Object.entries(variants)
+    .map(([name, variant]) => [name, Math.max(0, Number(variant?.weight ?? 1) || 0)])
+    .filter(([, weight]) => weight > 0);
+
+  const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+
+  let point = random() * total;
+  for (const [name, weight] of weighted) {
+    point -= weight;
+    if (point < 0) return name;
+  }
+  return weighted[weighted.length - 1][0];
+}
+
+/**
+ * Assign a variant of every active experiment
+ * @param {Object} options - Options
+ * @param {Object} options.assignments - Experiment -> variant to keep (e.g. when
+ *   resuming a run); ignored for variants that no longer exist
+ * @param {Function} options.random - Random source for pickVariant
+ * @returns {Promise<{assignments: Object, overrides: Object}>} Experiment -> variant,
+ *   and section key -> content for the assembler
+ */
+export async function assignExperiments(options = {}) {
+  const { assignments: keep = null, random = Math.random } = options;
+  const experiments = await getPromptExperiments();
+
+  const assignments = {};
+  const overrides = {};
+
+  for (const [name, experiment] of Object.entries(experiments || {})) {
+    if (!experiment?.active) continue;
+    const variants = experiment.variants || {};
+
+    const variant = variants[keep?.[name]] ? keep[name] : pickVariant(variants, random);
+    if (!variant) continue;
+    assignments[name] = variant;
+
+    for (const [key, content] of Object.entries(variants[variant].sections || {})) {
+      if (overrides[key] !== undefined) {
+        console.warn(`⚠️ Prompt experiments overlap on ${key}; "${name}" is ignored for it`);
+        continue;
+      }
+      overrides[key] = content;
+    }
+  }
+
+  return { assignments, overrides };
+}
+
+/**
+ * Format assignments for logs, e.g. "intro_tone=socratic, schema=control"
+ * @param {Object} assignments - Experiment -> variant
+ * @returns {string}
+ */
+export function formatAssignments(assignments) {
+  return Object.entries(assignments || {}).map(([name, variant]) => `${name}=${variant}`).join(', ');
+}
+
+export default {
+  pickVariant,
+  assignExperiments,
+  formatAssignments,
+};
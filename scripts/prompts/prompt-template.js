@@ -0,0 +1,177 @@
+/**
+ * Prompt Templates
+ *
+ * Prompt sections can use variables and conditional blocks, evaluated
+ * when the prompt is assembled for a case:
+ *
+ *   {{company}}
+ *   {{#if source_type == "company_blog"}} ... {{else if company}} ... {{else}} ... {{/if}}
+ *
+ * A condition is a variable name (true when set and non-empty), or a
+ * variable compared to a quoted string with == or !=. Unknown variables
+ * and unbalanced blocks are errors, so a typo in a section fails
+ * assembly instead of silently dropping guidance.
+ */
+
+// Variables available to prompt sections
+export const TEMPLATE_VARIABLES = {
+  source_type: 'Source the case is generated from, e.g. company_blog',
+  company: 'Company or subject of the raw content',
+  target_question_type: 'Question type the buffer is short on',
+  target_difficulty: 'Difficulty the buffer is short on',
+  seniority: 'Seniority level (0-3) the buffer is short on',
+};
+
+const TAG_PATTERN = /\{\{\s*(#if\s+[^}]*?|else\s+if\s+[^}]*?|else|\/if|[a-zA-Z_]+)\s*\}\}/g;
+const CONDITION_PATTERN = /^([a-z_]+)(?:\s*(==|!=)\s*"([^"]*)")?$/;
+
+/**
+ * Template syntax or variable error
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+/**
+ * Check whether a section uses template syntax
+ * @param {string} template - Section content
+ * @returns {boolean}
+ */
+export function isTemplate(template) {
+  return typeof template === 'string' && template.includes('{{');
+}
+
+/**
+ * Render a template
+ * Blank lines left by false blocks are collapsed and the result trimmed.
+ * @param {string} template - Section content
+ * @param {Object} variables - Variable name -> value (see TEMPLATE_VARIABLES)
+ * @returns {string}
+ */
+export function renderTemplate(template, variables = {}) {
+  if (!isTemplate(template)) return template;
+
+  const rendered = renderNodes(parseTemplate(template), variables);
+  return rendered.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Check a template for syntax errors and unknown variables
+ * @param {string} template - Section content
+ * @returns {{valid: boolean, errors: string[], variables: string[]}} variables lists the names used
+ */
+export function validateTemplate(template) {
+  const variables = new Set();
+  try {
+    collectVariables(parseTemplate(template), variables);
+    return { valid: true, errors: [], variables: [...variables] };
+  } catch (error) {
+    return { valid: false, errors: [error.message], variables: [...variables] };
+  }
+}
+
+/**
+ * Parse a template into text, variable and if nodes
+ * @param {string} template - Section content
+ * @returns {Object[]}
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  // Open if nodes; each tracks the branch its content currently goes to
+  const stack = [];
+  const current = () => (stack.length > 0 ? stack[stack.length - 1].branch.children : root.children);
+
+  let last = 0;
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    if (match.index > last) current().push({ type: 'text', value: template.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const tag = match[1].replace(/\s+/g, ' ');
+
+    if (tag.startsWith('#if ')) {
+      const branch = { condition: parseCondition(tag.slice(4)), children: [] };
+      const node = { type: 'if', branches: [branch], branch };
+      current().push(node);
+      stack.push(node);
+    } else if (tag.startsWith('else')) {
+      const node = stack[stack.length - 1];
+      if (!node) throw new TemplateError(`{{${tag}}} without an open {{#if}}`);
+      if (node.branches[node.branches.length - 1].condition === null) {
+        throw new TemplateError(`{{${tag}}} after {{else}}`);
+      }
+      const condition = tag === 'else' ? null : parseCondition(tag.slice(8));
+      node.branch = { condition, children: [] };
+      node.branches.push(node.branch);
+    } else if (tag === '/if') {
+      if (!stack.pop()) throw new TemplateError('{{/if}} without an open {{#if}}');
+    } else {
+      checkVariable(tag);
+      current().push({ type: 'variable', name: tag });
+    }
+  }
+
+  if (stack.length > 0) throw new TemplateError(`${stack.length} {{#if}} block(s) not closed`);
+  if (last < template.length) root.children.push({ type: 'text', value: template.slice(last) });
+
+  return root.children;
+}
+
+function parseCondition(expression) {
+  const match = expression.trim().match(CONDITION_PATTERN);
+  if (!match) throw new TemplateError(`Invalid condition "${expression.trim()}"`);
+
+  const [, name, operator = null, value = null] = match;
+  checkVariable(name);
+  return { name, operator, value };
+}
+
+function checkVariable(name) {
+  if (!TEMPLATE_VARIABLES[name]) {
+    throw new TemplateError(`Unknown variable "${name}". Valid variables: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+  }
+}
+
+function renderNodes(nodes, variables) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'variable') return stringify(variables[node.name]);
+
+    const branch = node.branches.find(b => b.condition === null || evaluate(b.condition, variables));
+    return branch ? renderNodes(branch.children, variables) : '';
+  }).join('');
+}
+
+function evaluate({ name, operator, value }, variables) {
+  const actual = stringify(variables[name]);
+  if (operator === '==') return actual === value;
+  if (operator === '!=') return actual !== value;
+  return actual !== '';
+}
+
+// 0 is a valid seniority level, so only null/undefined count as unset
+function stringify(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function collectVariables(nodes, variables) {
+  for (const node of nodes) {
+    if (node.type === 'variable') variables.add(node.name);
+    if (node.type === 'if') {
+      for (const branch of node.branches) {
+        if (branch.condition) variables.add(branch.condition.name);
+        collectVariables(branch.children, variables);
+      }
+    }
+  }
+}
+
+export default {
+  TEMPLATE_VARIABLES,
+  TemplateError,
+  isTemplate,
+  renderTemplate,
+  validateTemplate,
+};
@@ -0,0 +1,92 @@
+/**
+ * Section Prompts
+ *
+ * Prompts for generating a case in parts when a single response doesn't
+ * fit in max_tokens: the story and metadata, the answer approach, and the
+ * pushback/evaluation sections are requested separately and merged.
+ */
+
+import { CASE_STUDY_SCHEMA } from '../utils/case-schema.js';
+
+// Sent after a response that stopped at max_tokens
+export const CONTINUE_PROMPT = 'Your previous response was cut off at the output limit. Continue the JSON exactly where it stopped. Do not repeat anything already written, do not start a new object, and do not add any commentary.';
+
+// Every CASE_STUDY_SCHEMA property belongs to exactly one group, in generation order
+export const SECTION_GROUPS = [
+  {
+    name: 'story',
+    keys: [
+      'title', 'the_question', 'read_time_minutes', 'what_happened', 'mental_model', 'summary',
+      'difficulty', 'question_type', 'seniority_level', 'frameworks_applicable', 'industry',
+      'tags', 'company_name', 'asked_in_company', 'image_prompt',
+    ],
+    instructions: 'Write the question, the story of what happened, the mental model, the summary, and the case metadata.',
+  },
+  {
+    name: 'answer',
+    keys: ['answer_approach'],
+    instructions: 'Write the answer approach: exactly 7 parts, each with a time estimate, what the candidate says, questions to ask and the thinking behind it.',
+  },
+  {
+    name: 'evaluation',
+    keys: ['pushback_scenarios', 'interviewer_evaluation', 'common_mistakes', 'practice'],
+    instructions: 'Write 2-3 pushback scenarios, 6-8 interviewer evaluation points, 5-6 common mistakes, and a practice question with guidance.',
+  },
+];
+
+/**
+ * Build the user prompt for one section group
+ * @param {string} basePrompt - The full-case user prompt (source content and guidance)
+ * @param {Object} group - Entry from SECTION_GROUPS
+ * @param {Object} draft - Fields already generated by other groups
+ * @param {string[]} errors - Schema errors from the previous attempt at this group
+ * @returns {string}
+ */
+export function buildSectionPrompt(basePrompt, group, draft = {}, errors = []) {
+  const schema = Object.fromEntries(
+    group.keys.map(key => [key, CASE_STUDY_SCHEMA.properties[key]])
+  );
+  const written = Object.fromEntries(
+    Object.entries(draft).filter(([key]) => !group.keys.includes(key))
+  );
+
+  const parts = [
+    basePrompt,
+    `This case is written in parts to stay within the output limit. Generate ONLY these fields as a JSON object: ${group.keys.join(', ')}.`,
+    group.instructions,
+    `JSON Schema for these fields:\n${JSON.stringify(schema)}`,
+  ];
+
+  if (Object.keys(written).length > 0) {
+    parts.push(`Already written (stay consistent with it, do not repeat it):\n${JSON.stringify(written)}`);
+  }
+
+  if (errors.length > 0) {
+    parts.push(`Fix these problems from the previous attempt:\n${errors.map(e => `- ${e}`).join('\n')}`);
+  }
+
+  parts.push('Respond ONLY with valid JSON.');
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Work out which groups must be regenerated to fix schema errors
+ * @param {string[]} errors - Errors from validateCaseStudy ("path: problem")
+ * @returns {Object[]} Groups owning an erroring field (all groups for whole-case errors)
+ */
+export function groupsForErrors(errors) {
+  if (errors.length === 0) return SECTION_GROUPS;
+
+  const keys = new Set(errors.map(error => error.split(/[.:[]/)[0].trim()));
+  const groups = SECTION_GROUPS.filter(group => group.keys.some(key => keys.has(key)));
+
+  return groups.length > 0 ? groups : SECTION_GROUPS;
+}
+
+export default {
+  CONTINUE_PROMPT,
+  SECTION_GROUPS,
+  buildSectionPrompt,
+  groupsForErrors,
+};
@@ -3,6 +3,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { getSpendSummary } from './utils/spend-governor.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -34,6 +35,9 @@ async function main() {
     .eq('scheduled_date', new Date().toISOString().split('T')[0])
     .single();
   
+  // Get LLM spend against caps
+  const spend = await getSpendSummary();
+  
   // Output markdown
   console.log(`
 ### Buffer Status
@@ -51,6 +55,9 @@ async function main() {
 | ❌ Failed | ${stats.failed} |
 | **Total** | **${stats.total}** |
 
+### LLM Spend
+${formatSpend(spend)}
+
 ### Today's Case
 ${todaysCase ? `
 **${todaysCase.title}**
@@ -60,6 +67,33 @@ ${todaysCase ? `
   `.trim());
 }
 
+function formatSpend(spend) {
+  if (!spend) return '⚠️ Spend ledger unavailable';
+  
+  const { caps } = spend;
+  const usd = (n) => `$${Number(n).toFixed(4)}`;
+  const cap = (value, format) => (value == null ? 'none' : format(value));
+  
+  const lines = [
+    '| Period | Calls | Tokens | Token cap | Cost | Cost cap |',
+    '|--------|-------|--------|-----------|------|----------|',
+    `| Today (UTC) | ${spend.day.calls} | ${spend.day.tokens.toLocaleString()} | ${cap(caps.daily_tokens, n => n.toLocaleString())} | ${usd(spend.day.usd)} | ${cap(caps.daily_usd, usd)} |`,
+    `| This month | ${spend.month.calls} | ${spend.month.tokens.toLocaleString()} | ${cap(caps.monthly_tokens, n => n.toLocaleString())} | ${usd(spend.month.usd)} | ${cap(caps.monthly_usd, usd)} |`,
+  ];
+  
+  const models = Object.entries(spend.byModel);
+  if (models.length > 0) {
+    lines.push('', '| Model (this month) | Calls | Downgraded | Tokens | Cost |', '|-------|-------|------------|--------|------|');
+    for (const [model, m] of models) {
+      lines.push(`| ${model} | ${m.calls} | ${m.downgraded} | ${m.tokens.toLocaleString()} | ${usd(m.usd)} |`);
+    }
+  }
+  
+  lines.push('', `On cap: **${caps.on_cap}**${caps.on_cap === 'downgrade' ? ` to \`${caps.downgrade_model}\`` : ''}`);
+  
+  return lines.join('\n');
+}
+
 main().catch(err => {
   console.error('Error generating report:', err.message);
 });
@@ -2,7 +2,9 @@
  * Run Generator - Entry point for GitHub Actions
  */
 
-import { generateDailyCases, getBufferStatus, scheduleUpcomingDays } from './case-generator.js';
+import { generateDailyCases, resumeGeneration, getBufferStatus, scheduleUpcomingDays, MAX_VARIANTS } from './case-generator.js';
+import { loadSources, getSource, getSourceTypes } from './sources/registry.js';
+import { DEFAULT_FIXTURE_DIR } from './utils/fixtures.js';
 
 async function main() {
   const args = process.argv.slice(2);
@@ -12,6 +14,14 @@ async function main() {
     count: 1,
     forceSourceType: null,
     dryRun: false,
+    resumeLogId: null,
+    concurrency: 1,
+    recordDir: null,
+    replay: null,
+    outputDir: undefined,
+    variants: 1,
+    cache: undefined,
+    cacheDir: undefined,
   };
   
   for (const arg of args) {
@@ -21,13 +31,56 @@ async function main() {
       options.forceSourceType = arg.split('=')[1] || null;
     } else if (arg === '--dry-run') {
       options.dryRun = true;
+    } else if (arg.startsWith('--concurrency=')) {
+      options.concurrency = Math.max(1, parseInt(arg.split('=')[1]) || 1);
+    } else if (arg.startsWith('--resume=')) {
+      options.resumeLogId = arg.split('=')[1] || null;
+    } else if (arg === '--record') {
+      options.recordDir = DEFAULT_FIXTURE_DIR;
+    } else if (arg.startsWith('--record=')) {
+      options.recordDir = arg.split('=')[1] || DEFAULT_FIXTURE_DIR;
+    } else if (arg.startsWith('--replay=')) {
+      options.replay = arg.split('=')[1] || null;
+    } else if (arg.startsWith('--output-dir=')) {
+      options.outputDir = arg.split('=')[1] || undefined;
+    } else if (arg.startsWith('--variants=')) {
+      options.variants = Math.min(MAX_VARIANTS, Math.max(1, parseInt(arg.split('=')[1]) || 1));
+    } else if (arg === '--cache') {
+      options.cache = true;
+    } else if (arg.startsWith('--cache=')) {
+      options.cache = true;
+      options.cacheDir = arg.split('=')[1] || undefined;
+    } else if (arg === '--no-cache') {
+      options.cache = false;
     }
   }
   
+  if (options.forceSourceType) {
+    await loadSources();
+    if (!getSource(options.forceSourceType)?.enabled) {
+      console.error(`❌ Unknown source type: ${options.forceSourceType}`);
+      console.error(`   Valid types: ${getSourceTypes().join(', ')}`);
+      process.exit(1);
+    }
+  }
+  
+  if (options.replay && options.forceSourceType) {
+    console.error('❌ --replay and --source cannot be combined (the fixture determines the source)');
+    process.exit(1);
+  }
+  
   console.log('🚀 Starting case generation with options:', options);
   
   try {
-    const results = await generateDailyCases(options);
+    const results = options.resumeLogId
+      ? await resumeGeneration(options.resumeLogId, {
+          dryRun: options.dryRun,
+          outputDir: options.outputDir,
+          variants: options.variants,
+          cache: options.cache,
+          cacheDir: options.cacheDir,
+        })
+      : await generateDailyCases(options);
     
     // Output for GitHub Actions
     console.log('\n📊 Results:');
@@ -37,7 +90,7 @@ async function main() {
     
     if (results.failed.length > 0) {
       console.error('\n❌ Failures:');
-      results.failed.forEach(f => console.error(`   - ${f.error}`));
+      results.failed.forEach(f => console.error(`   - [${f.sourceType || 'unknown'}${f.logId ? ` ${f.logId}` : ''}] ${f.error}`));
       process.exit(1);
     }
     
@@ -10,26 +10,20 @@ import 'dotenv/config';
 
 import { generateDailyCases } from './case-generator.js';
 import { createClient } from '@supabase/supabase-js';
+import { loadSources, getSourceTypes } from './sources/registry.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const SOURCE_TYPES = [
-  'historical_wikipedia',
-  'historical_archive', 
-  'live_news_techcrunch',
-  'live_news_hackernews',
-  'company_blog',
-  'company_sec_filing',
-  'framework_classic',
-];
-
 async function seed() {
+  await loadSources();
+  const sourceTypes = getSourceTypes();
+
   console.log('🌱 Seeding initial case studies...\n');
-  console.log('This will generate 1 case per source type (7 total).');
-  console.log('Estimated time: 5-7 minutes');
+  console.log(`This will generate 1 case per source type (${sourceTypes.length} total).`);
+  console.log('Estimated time: ~1 minute per source type');
 
   const results = {
     generated: 0,
@@ -38,7 +32,7 @@ async function seed() {
   };
 
   // Generate 1 case per source type
-  for (const sourceType of SOURCE_TYPES) {
+  for (const sourceType of sourceTypes) {
     console.log(`\n📂 Generating cases from: ${sourceType}`);
     console.log('─'.repeat(50));
 
@@ -5,6 +5,9 @@
  * for historical case studies with hindsight perspective.
  */
 
+import { registerSource } from './registry.js';
+import { httpFetch } from '../utils/http.js';
+
 const WAYBACK_API = 'https://archive.org/wayback/available';
 
 // Historical moments that make great case studies (with known archived URLs)
@@ -118,8 +121,12 @@ const HISTORICAL_MOMENTS = [
 
 let recentlyUsed = new Set();
 
-export async function fetchFromArchiveOrg() {
-  console.log('  Selecting historical moment...');
+/**
+ * List historical moments as candidates, in random order
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>}
+ */
+export async function fetchArchiveOrgCandidates() {
+  console.log('  Selecting historical moments...');
   
   // Filter available moments
   const available = HISTORICAL_MOMENTS.filter(m => !recentlyUsed.has(m.title));
@@ -127,8 +134,19 @@ export async function fetchFromArchiveOrg() {
     recentlyUsed.clear();
   }
   
-  // Random selection
-  const moment = available[Math.floor(Math.random() * available.length)];
+  // Random order for variety
+  return available
+    .sort(() => Math.random() - 0.5)
+    .map(moment => ({
+      title: moment.title,
+      sourceUrl: moment.url,
+      companyName: moment.company,
+      score: 0,
+      load: () => loadMoment(moment),
+    }));
+}
+
+async function loadMoment(moment) {
   recentlyUsed.add(moment.title);
   
   console.log(`  Selected: ${moment.title} (${moment.date})`);
@@ -193,15 +211,14 @@ async function fetchArchivedPage(url, date) {
     const timestamp = date.replace(/-/g, '');
     const waybackUrl = `https://web.archive.org/web/${timestamp}/${url}`;
     
-    const response = await fetch(waybackUrl, {
+    const response = await httpFetch(waybackUrl, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; ProductMindsBot/1.0)',
       },
-      timeout: 10000,
+      timeoutMs: 10000,
+      retries: 0,
     });
     
-    if (!response.ok) return null;
-    
     const html = await response.text();
     
     // Extract main content
@@ -237,3 +254,13 @@ function extractMainContent(html) {
 
 // Export for reference
 export { HISTORICAL_MOMENTS };
+
+registerSource({
+  type: 'historical_archive',
+  name: 'Archive.org Historical',
+  fetchCandidates: fetchArchiveOrgCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 2,
+  capabilities: { curated: true },
+});
@@ -6,6 +6,8 @@
  */
 
 import Parser from 'rss-parser';
+import { registerSource } from './registry.js';
+import { MAX_RAW_CONTENT_CHARS } from '../utils/content-budget.js';
 
 // Curated list of company blogs with PM-relevant content
 const COMPANY_BLOGS = [
@@ -112,8 +114,16 @@ const RELEVANT_KEYWORDS = [
 // Track recently used sources
 let recentlyUsedBlogs = new Set();
 
-export async function fetchFromCompanyBlogs() {
+// Stop scanning feeds once this many relevant articles are pooled
+const MIN_CANDIDATES = 10;
+
+/**
+ * Fetch ranked candidates from a handful of company blogs
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>} Most relevant first
+ */
+export async function fetchCompanyBlogCandidates() {
   const parser = new Parser({
+    timeout: 15000,
     customFields: {
       item: ['content:encoded', 'dc:creator']
     }
@@ -130,8 +140,12 @@ export async function fetchFromCompanyBlogs() {
     recentlyUsedBlogs.clear();
   }
   
-  // Try each blog until we find good content
+  const candidates = [];
+
+  // Pool articles from up to 5 blogs
   for (const blog of availableBlogs.slice(0, 5)) {
+    if (candidates.length >= MIN_CANDIDATES) break;
+    
     try {
       console.log(`  Trying: ${blog.name}...`);
       const feed = await parser.parseURL(blog.rssUrl);
@@ -147,36 +161,47 @@ export async function fetchFromCompanyBlogs() {
         .filter(item => item.relevanceScore > 2)
         .sort((a, b) => b.relevanceScore - a.relevanceScore);
       
-      if (scoredArticles.length > 0) {
-        // Pick from top 3
-        const topArticles = scoredArticles.slice(0, 3);
-        const selected = topArticles[Math.floor(Math.random() * topArticles.length)];
-        
-        recentlyUsedBlogs.add(blog.name);
-        console.log(`  Selected: "${selected.title}" from ${blog.name}`);
-        
-        // Get full content
-        const content = selected['content:encoded'] || selected.content || selected.contentSnippet;
-        const cleanContent = stripHtml(content);
-        
-        return {
-          title: selected.title,
-          content: cleanContent,
-          sourceUrl: selected.link,
-          companyName: blog.company,
-          industry: blog.industry,
-          blogName: blog.name,
-          publishedAt: selected.pubDate,
-          author: selected['dc:creator'] || selected.creator,
-        };
-      }
+      console.log(`  ${scoredArticles.length} relevant article(s) from ${blog.name}`);
+      candidates.push(...scoredArticles.map(toCandidate));
     } catch (error) {
       console.log(`  Failed to fetch ${blog.name}: ${error.message}`);
       continue;
     }
   }
   
-  throw new Error('Could not find relevant content from any company blog');
+  if (candidates.length === 0) {
+    throw new Error('Could not find relevant content from any company blog');
+  }
+  
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+function toCandidate(article) {
+  const { blog } = article;
+
+  return {
+    title: article.title,
+    sourceUrl: article.link,
+    companyName: blog.company,
+    score: article.relevanceScore,
+    load: async () => {
+      recentlyUsedBlogs.add(blog.name);
+
+      // Get full content
+      const content = article['content:encoded'] || article.content || article.contentSnippet;
+
+      return {
+        title: article.title,
+        content: stripHtml(content),
+        sourceUrl: article.link,
+        companyName: blog.company,
+        industry: blog.industry,
+        blogName: blog.name,
+        publishedAt: article.pubDate,
+        author: article['dc:creator'] || article.creator,
+      };
+    },
+  };
 }
 
 function scoreArticle(item) {
@@ -224,6 +249,8 @@ function stripHtml(html) {
   return html
     .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
     .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<\/(?:p|div|li|h[1-6]|blockquote)>/gi, '\n\n')
     .replace(/<[^>]+>/g, ' ')
     .replace(/&nbsp;/g, ' ')
     .replace(/&amp;/g, '&')
@@ -231,10 +258,20 @@ function stripHtml(html) {
     .replace(/&gt;/g, '>')
     .replace(/&quot;/g, '"')
     .replace(/&#39;/g, "'")
-    .replace(/\s+/g, ' ')
+    .replace(/ +/g, ' ')
+    .replace(/\s*\n\s*/g, '\n\n')
     .trim()
-    .substring(0, 5000); // Limit for Claude context
+    .substring(0, MAX_RAW_CONTENT_CHARS); // Trimmed to the prompt budget in case-generator
 }
 
 // Export blog list for reference
 export { COMPANY_BLOGS };
+
+registerSource({
+  type: 'company_blog',
+  name: 'Company Blogs',
+  fetchCandidates: fetchCompanyBlogCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 5,
+});
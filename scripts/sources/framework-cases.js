@@ -6,6 +6,8 @@
  * the natural tool to use.
  */
 
+import { registerSource } from './registry.js';
+
 // PM Frameworks with teaching scenarios
 const FRAMEWORK_CASES = [
   // PRIORITIZATION FRAMEWORKS
@@ -345,8 +347,12 @@ The data suggests they have PMF for a segment, not the whole market.`,
 // Track recently used frameworks
 let recentlyUsed = new Set();
 
-export async function generateFrameworkCase() {
-  console.log('  Selecting PM framework case...');
+/**
+ * List framework cases as candidates, in random order
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>}
+ */
+export async function fetchFrameworkCandidates() {
+  console.log('  Selecting PM framework cases...');
   
   // Filter available frameworks
   const available = FRAMEWORK_CASES.filter(f => !recentlyUsed.has(f.framework));
@@ -354,8 +360,19 @@ export async function generateFrameworkCase() {
     recentlyUsed.clear();
   }
   
-  // Random selection
-  const selected = available[Math.floor(Math.random() * available.length)];
+  // Random order for variety
+  return available
+    .sort(() => Math.random() - 0.5)
+    .map(frameworkCase => ({
+      title: `${frameworkCase.scenario.company}: A ${frameworkCase.framework} Case Study`,
+      sourceUrl: null, // These are original cases
+      companyName: frameworkCase.scenario.company,
+      score: 0,
+      load: async () => generateFrameworkCase(frameworkCase),
+    }));
+}
+
+function generateFrameworkCase(selected) {
   recentlyUsed.add(selected.framework);
   
   console.log(`  Selected framework: ${selected.framework}`);
@@ -405,3 +422,13 @@ TAGS: ${selected.tags.join(', ')}
 
 // Export for seeding
 export { FRAMEWORK_CASES };
+
+registerSource({
+  type: 'framework_classic',
+  name: 'Framework Deep-dive',
+  fetchCandidates: fetchFrameworkCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 0,
+  capabilities: { requiresNetwork: false, curated: true },
+});
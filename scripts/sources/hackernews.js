@@ -5,6 +5,10 @@
  * Focuses on startup stories, product discussions, and business strategy.
  */
 
+import { registerSource } from './registry.js';
+import { httpFetch } from '../utils/http.js';
+import { MAX_RAW_CONTENT_CHARS } from '../utils/content-budget.js';
+
 const HN_API_BASE = 'https://hacker-news.firebaseio.com/v0';
 
 // Keywords that indicate PM-relevant content
@@ -26,11 +30,16 @@ const PRIORITY_DOMAINS = [
   'medium.com', 'substack.com'
 ];
 
-export async function fetchFromHackerNews() {
+/**
+ * Fetch ranked Hacker News candidates
+ * Article pages are only downloaded for candidates that get loaded.
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>} Most relevant first
+ */
+export async function fetchHackerNewsCandidates() {
   console.log('  Fetching Hacker News top stories...');
   
   // Get top story IDs
-  const response = await fetch(`${HN_API_BASE}/topstories.json`);
+  const response = await httpFetch(`${HN_API_BASE}/topstories.json`);
   const storyIds = await response.json();
   
   // Fetch details for top 50 stories
@@ -52,32 +61,34 @@ export async function fetchFromHackerNews() {
     throw new Error('No relevant stories found on Hacker News');
   }
 
-  // Pick from top 5 for variety
-  const topStories = scoredStories.slice(0, 5);
-  const selected = topStories[Math.floor(Math.random() * topStories.length)];
+  console.log(`  Found ${scoredStories.length} relevant stories`);
 
-  console.log(`  Selected: "${selected.title}" (score: ${selected.relevanceScore})`);
+  return scoredStories.map(story => {
+    // Extract company name
+    const companyName = extractCompanyName(story.title, story.url);
 
-  // Fetch the actual article content
-  const articleContent = await fetchArticleContent(selected.url);
-  
-  // Extract company name
-  const companyName = extractCompanyName(selected.title, selected.url);
-
-  return {
-    title: selected.title,
-    content: articleContent,
-    sourceUrl: selected.url,
-    companyName,
-    hnUrl: `https://news.ycombinator.com/item?id=${selected.id}`,
-    score: selected.score,
-    comments: selected.descendants,
-  };
+    return {
+      title: story.title,
+      sourceUrl: story.url,
+      companyName,
+      score: story.relevanceScore,
+      load: async () => ({
+        title: story.title,
+        // Fetch the actual article content
+        content: await fetchArticleContent(story.url),
+        sourceUrl: story.url,
+        companyName,
+        hnUrl: `https://news.ycombinator.com/item?id=${story.id}`,
+        score: story.score,
+        comments: story.descendants,
+      }),
+    };
+  });
 }
 
 async function fetchStory(id) {
   try {
-    const response = await fetch(`${HN_API_BASE}/item/${id}.json`);
+    const response = await httpFetch(`${HN_API_BASE}/item/${id}.json`, { retries: 1 });
     return await response.json();
   } catch {
     return null;
@@ -126,31 +137,30 @@ function scoreStory(story) {
   return score;
 }
 
+// Throws when the article can't be fetched or yields no text, so the
+// candidate screener moves on to the next story
 async function fetchArticleContent(url) {
-  try {
-    // Use a simple fetch - in production you might use a service like 
-    // Mercury Parser or Diffbot for better extraction
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ProductMindsBot/1.0)',
-      },
-      timeout: 10000,
-    });
-    
-    if (!response.ok) {
-      return `[Could not fetch article content. URL: ${url}]`;
-    }
-    
-    const html = await response.text();
-    
-    // Basic content extraction
-    // In production, use a proper readability library
-    const content = extractMainContent(html);
-    
-    return content || `[Article content could not be extracted. URL: ${url}]`;
-  } catch (error) {
-    return `[Fetch error: ${error.message}. URL: ${url}]`;
+  // Use a simple fetch - in production you might use a service like 
+  // Mercury Parser or Diffbot for better extraction
+  const response = await httpFetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; ProductMindsBot/1.0)',
+    },
+    timeoutMs: 10000,
+    retries: 1,
+  });
+  
+  const html = await response.text();
+  
+  // Basic content extraction
+  // In production, use a proper readability library
+  const content = extractMainContent(html);
+  
+  if (!content) {
+    throw new Error(`No article content could be extracted from ${url}`);
   }
+  
+  return content;
 }
 
 function extractMainContent(html) {
@@ -170,8 +180,10 @@ function extractMainContent(html) {
   if (articleMatch) content = articleMatch[1];
   else if (mainMatch) content = mainMatch[1];
   
-  // Strip remaining HTML tags
+  // Strip remaining HTML tags, keeping paragraph breaks for the content budget
   content = content
+    .replace(/\s+/g, ' ')
+    .replace(/<\/(?:p|div|li|h[1-6]|blockquote)>/gi, '\n\n')
     .replace(/<[^>]+>/g, ' ')
     .replace(/&nbsp;/g, ' ')
     .replace(/&amp;/g, '&')
@@ -179,11 +191,12 @@ function extractMainContent(html) {
     .replace(/&gt;/g, '>')
     .replace(/&quot;/g, '"')
     .replace(/&#39;/g, "'")
-    .replace(/\s+/g, ' ')
+    .replace(/ +/g, ' ')
+    .replace(/\s*\n\s*/g, '\n\n')
     .trim();
   
-  // Return first ~3000 characters (enough for context)
-  return content.substring(0, 3000);
+  // The content budget picks the most relevant paragraphs from this
+  return content.substring(0, MAX_RAW_CONTENT_CHARS);
 }
 
 function extractCompanyName(title, url) {
@@ -210,3 +223,13 @@ function extractCompanyName(title, url) {
   
   return null;
 }
+
+registerSource({
+  type: 'live_news_hackernews',
+  name: 'Hacker News',
+  fetchCandidates: fetchHackerNewsCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 4,
+  capabilities: { timeSensitive: true },
+});
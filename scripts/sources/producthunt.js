@@ -5,6 +5,9 @@
  * go-to-market and early-stage product case studies.
  */
 
+import { registerSource } from './registry.js';
+import { httpFetch } from '../utils/http.js';
+
 // Product Hunt's public feed (no API key needed for basic access)
 const PH_UPCOMING_FEED = 'https://www.producthunt.com/feed';
 
@@ -14,11 +17,15 @@ const INTERESTING_CATEGORIES = [
   'marketing', 'design-tools', 'ai', 'no-code', 'analytics'
 ];
 
-export async function fetchFromProductHunt() {
+/**
+ * Fetch ranked Product Hunt candidates
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>} Most relevant first
+ */
+export async function fetchProductHuntCandidates() {
   console.log('  Fetching from Product Hunt...');
   
   // Fetch the RSS feed
-  const response = await fetch(PH_UPCOMING_FEED);
+  const response = await httpFetch(PH_UPCOMING_FEED);
   const text = await response.text();
   
   // Parse RSS manually (simple approach)
@@ -37,12 +44,16 @@ export async function fetchFromProductHunt() {
     .filter(i => i.relevanceScore > 1)
     .sort((a, b) => b.relevanceScore - a.relevanceScore);
   
-  // Pick from top 5
-  const top = scoredItems.slice(0, 5);
-  const selected = top[Math.floor(Math.random() * top.length)];
-  
-  console.log(`  Selected: "${selected.title}"`);
-  
+  return scoredItems.map(item => ({
+    title: item.title,
+    sourceUrl: item.link,
+    companyName: item.title.split(' ')[0], // Use first word as company name
+    score: item.relevanceScore,
+    load: async () => buildLaunchContent(item),
+  }));
+}
+
+function buildLaunchContent(selected) {
   // Create rich content for case study generation
   const content = `
 PRODUCT HUNT LAUNCH ANALYSIS
@@ -154,3 +165,13 @@ function scoreProduct(item) {
   
   return score;
 }
+
+registerSource({
+  type: 'live_news_producthunt',
+  name: 'Product Hunt',
+  fetchCandidates: fetchProductHuntCandidates,
+  weight: 1,
+  enabled: false,
+  dayOfWeek: null,
+  capabilities: { timeSensitive: true },
+});
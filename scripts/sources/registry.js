@@ -0,0 +1,196 @@
+/**
+ * Source Registry
+ *
+ * Single place where content sources are declared. Each fetcher module in
+ * this directory calls registerSource() at import time; loadSources()
+ * discovers and imports every module here, so adding a source means
+ * adding one file.
+ */
+
+import { readdirSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+const SOURCES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Registered sources keyed by source type
+const registry = new Map();
+
+let loadPromise = null;
+
+/**
+ * Source definition
+ * @typedef {Object} SourceDefinition
+ * @property {string} type - Source type (must match the source_type DB enum)
+ * @property {string} name - Human-readable display name
+ * @property {Function} fetchCandidates - Async function returning ranked SourceCandidates
+ * @property {Function} [fetcher] - Async function returning raw content for a single item.
+ *   Derived from fetchCandidates when omitted; sources that only provide a fetcher
+ *   get a one-candidate fetchCandidates.
+ * @property {number} [weight=1] - Relative weight when choosing between sources
+ * @property {boolean} [enabled=true] - Whether automatic runs may use this source
+ * @property {number|null} [dayOfWeek=null] - Day (0=Sunday) this source owns in the weekly rotation
+ * @property {Object} [capabilities] - What the source provides
+ * @property {boolean} [capabilities.requiresNetwork=true] - Fetches remote content
+ * @property {boolean} [capabilities.timeSensitive=false] - Content is current news
+ * @property {boolean} [capabilities.curated=false] - Picks from a hand-maintained list
+ */
+
+/**
+ * An item a source could turn into a case
+ * Candidates carry enough metadata to be screened before any content
+ * is downloaded or sent to the LLM.
+ * @typedef {Object} SourceCandidate
+ * @property {string} title - Item title
+ * @property {string|null} sourceUrl - Canonical URL, if known before loading
+ * @property {string|null} companyName - Company the item is about
+ * @property {number} score - Source-specific relevance (candidates are returned highest first)
+ * @property {Function} load - Async function returning the raw content for this item
+ */
+
+/**
+ * Register a content source
+ * @param {SourceDefinition} definition - The source definition
+ * @returns {SourceDefinition} The normalized definition
+ */
+export function registerSource(definition) {
+  const { type, name } = definition;
+
+  if (!type || typeof type !== 'string') {
+    throw new Error('Source registration requires a type');
+  }
+
+  if (typeof definition.fetchCandidates !== 'function' && typeof definition.fetcher !== 'function') {
+    throw new Error(`Source "${type}" must provide a fetchCandidates or fetcher function`);
+  }
+
+  const fetchCandidates = definition.fetchCandidates || (async () => {
+    const rawContent = await definition.fetcher();
+    return rawContent ? [{
+      title: rawContent.title,
+      sourceUrl: rawContent.sourceUrl || null,
+      companyName: rawContent.companyName || null,
+      score: 0,
+      load: async () => rawContent,
+    }] : [];
+  });
+
+  if (registry.has(type)) {
+    throw new Error(`Source "${type}" is already registered`);
+  }
+
+  const source = {
+    type,
+    name: name || type,
+    fetchCandidates,
+    fetcher: definition.fetcher || (() => loadFirstCandidate(type, fetchCandidates)),
+    weight: definition.weight ?? 1,
+    enabled: definition.enabled ?? true,
+    dayOfWeek: definition.dayOfWeek ?? null,
+    capabilities: {
+      requiresNetwork: true,
+      timeSensitive: false,
+      curated: false,
+      ...definition.capabilities,
+    },
+  };
+
+  registry.set(type, source);
+  return source;
+}
+
+/**
+ * Load the best candidate that yields content, for callers that want a single item
+ * @param {string} type - Source type, for error messages
+ * @param {Function} fetchCandidates - The source's candidate function
+ * @returns {Promise<Object>} Raw content
+ */
+async function loadFirstCandidate(type, fetchCandidates) {
+  const candidates = await fetchCandidates();
+
+  for (const candidate of candidates) {
+    try {
+      const rawContent = await candidate.load();
+      if (rawContent?.content) return rawContent;
+    } catch (error) {
+      console.log(`  Could not load "${candidate.title}": ${error.message}`);
+    }
+  }
+
+  throw new Error(`No usable content from source "${type}" (${candidates.length} candidates)`);
+}
+
+/**
+ * Import every fetcher module in the sources directory so they register
+ * themselves. Safe to call multiple times.
+ * @returns {Promise<SourceDefinition[]>} All registered sources
+ */
+export async function loadSources() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const files = readdirSync(SOURCES_DIR)
+        .filter(f => f.endsWith('.js') && f !== 'registry.js')
+        .sort();
+
+      for (const file of files) {
+        await import(pathToFileURL(path.join(SOURCES_DIR, file)).href);
+      }
+
+      return getAllSources();
+    })();
+  }
+
+  return loadPromise;
+}
+
+/**
+ * Get a registered source by type
+ * @param {string} type - The source type
+ * @returns {SourceDefinition|null}
+ */
+export function getSource(type) {
+  return registry.get(type) || null;
+}
+
+/**
+ * Get all registered sources, including disabled ones
+ * @returns {SourceDefinition[]}
+ */
+export function getAllSources() {
+  return [...registry.values()];
+}
+
+/**
+ * Get sources available for automatic generation
+ * @returns {SourceDefinition[]}
+ */
+export function getEnabledSources() {
+  return getAllSources().filter(s => s.enabled);
+}
+
+/**
+ * Get the enabled source types
+ * @returns {string[]}
+ */
+export function getSourceTypes() {
+  return getEnabledSources().map(s => s.type);
+}
+
+/**
+ * Get the enabled source that owns a given day in the weekly rotation
+ * @param {number} dayOfWeek - Day of week (0=Sunday)
+ * @returns {SourceDefinition|null}
+ */
+export function getSourceForDay(dayOfWeek) {
+  return getEnabledSources().find(s => s.dayOfWeek === dayOfWeek) || null;
+}
+
+export default {
+  registerSource,
+  loadSources,
+  getSource,
+  getAllSources,
+  getEnabledSources,
+  getSourceTypes,
+  getSourceForDay,
+};
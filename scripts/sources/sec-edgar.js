@@ -5,6 +5,9 @@
  * that reveal product strategy, business model changes, and risk factors.
  */
 
+import { registerSource } from './registry.js';
+import { httpFetch } from '../utils/http.js';
+
 const SEC_API_BASE = 'https://data.sec.gov';
 
 // Companies with interesting product/strategy stories in their filings
@@ -29,8 +32,13 @@ const INTERESTING_COMPANIES = [
 
 let recentlyUsedCompanies = new Set();
 
-export async function fetchFromSECEdgar() {
-  console.log('  Selecting company for SEC filing analysis...');
+/**
+ * List companies as candidates, in random order
+ * The filing (and so the source URL) is only known once a candidate is loaded.
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>}
+ */
+export async function fetchSECEdgarCandidates() {
+  console.log('  Selecting companies for SEC filing analysis...');
   
   // Filter available companies
   const available = INTERESTING_COMPANIES.filter(c => !recentlyUsedCompanies.has(c.cik));
@@ -38,8 +46,19 @@ export async function fetchFromSECEdgar() {
     recentlyUsedCompanies.clear();
   }
   
-  // Random selection
-  const company = available[Math.floor(Math.random() * available.length)];
+  // Random order for variety
+  return available
+    .sort(() => Math.random() - 0.5)
+    .map(company => ({
+      title: `${company.name} SEC Filing Analysis`,
+      sourceUrl: null,
+      companyName: company.name,
+      score: 0,
+      load: () => loadCompanyFiling(company),
+    }));
+}
+
+async function loadCompanyFiling(company) {
   recentlyUsedCompanies.add(company.cik);
   
   console.log(`  Selected: ${company.name} (${company.ticker})`);
@@ -74,17 +93,13 @@ export async function fetchFromSECEdgar() {
 
 async function fetchCompanyFilings(cik) {
   try {
-    const response = await fetch(`${SEC_API_BASE}/submissions/CIK${cik.padStart(10, '0')}.json`, {
+    const response = await httpFetch(`${SEC_API_BASE}/submissions/CIK${cik.padStart(10, '0')}.json`, {
       headers: {
         'User-Agent': 'ProductMinds Educational contact@productminds.com',
         'Accept-Encoding': 'gzip, deflate',
       }
     });
     
-    if (!response.ok) {
-      throw new Error(`SEC API returned ${response.status}`);
-    }
-    
     const data = await response.json();
     const filings = data.filings?.recent;
     
@@ -104,7 +119,7 @@ async function fetchCompanyFilings(cik) {
     return relevantFilings;
   } catch (error) {
     console.error(`  Error fetching SEC filings: ${error.message}`);
-    return null;
+    throw error;
   }
 }
 
@@ -164,3 +179,13 @@ function getCompanyContext(company) {
 }
 
 export { INTERESTING_COMPANIES };
+
+registerSource({
+  type: 'company_sec_filing',
+  name: 'SEC Filings',
+  fetchCandidates: fetchSECEdgarCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 6,
+  capabilities: { curated: true },
+});
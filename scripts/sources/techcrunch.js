@@ -6,6 +6,8 @@
  */
 
 import Parser from 'rss-parser';
+import { registerSource } from './registry.js';
+import { withRetry } from '../utils/errors.js';
 
 const RSS_URL = 'https://techcrunch.com/feed/';
 
@@ -23,15 +25,20 @@ const PRIORITY_CATEGORIES = [
   'transportation', 'ecommerce'
 ];
 
-export async function fetchFromTechCrunch() {
+/**
+ * Fetch ranked TechCrunch candidates
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>} Most relevant first
+ */
+export async function fetchTechCrunchCandidates() {
   const parser = new Parser({
+    timeout: 15000,
     customFields: {
       item: ['content:encoded', 'dc:creator']
     }
   });
 
   console.log('  Fetching TechCrunch RSS...');
-  const feed = await parser.parseURL(RSS_URL);
+  const feed = await withRetry(() => parser.parseURL(RSS_URL), { label: 'TechCrunch RSS' });
   
   // Score and filter articles
   const scoredArticles = feed.items
@@ -47,29 +54,32 @@ export async function fetchFromTechCrunch() {
     throw new Error('No relevant articles found in TechCrunch feed');
   }
 
-  // Pick a random one from top 5 to add variety
-  const topArticles = scoredArticles.slice(0, 5);
-  const selected = topArticles[Math.floor(Math.random() * topArticles.length)];
-
-  console.log(`  Selected: "${selected.title}" (score: ${selected.relevanceScore})`);
+  console.log(`  Found ${scoredArticles.length} relevant articles`);
 
-  // Extract company name from title if possible
-  const companyName = extractCompanyName(selected.title);
+  return scoredArticles.map(article => {
+    // Extract company name from title if possible
+    const companyName = extractCompanyName(article.title);
 
-  // Get full content
-  const content = selected['content:encoded'] || selected.contentSnippet || selected.content;
-  
-  // Clean HTML
-  const cleanContent = stripHtml(content);
+    return {
+      title: article.title,
+      sourceUrl: article.link,
+      companyName,
+      score: article.relevanceScore,
+      load: async () => {
+        // Get full content
+        const content = article['content:encoded'] || article.contentSnippet || article.content;
 
-  return {
-    title: selected.title,
-    content: cleanContent,
-    sourceUrl: selected.link,
-    companyName,
-    publishedAt: selected.pubDate,
-    author: selected['dc:creator'] || selected.creator,
-  };
+        return {
+          title: article.title,
+          content: stripHtml(content),
+          sourceUrl: article.link,
+          companyName,
+          publishedAt: article.pubDate,
+          author: article['dc:creator'] || article.creator,
+        };
+      },
+    };
+  });
 }
 
 function scoreArticle(item) {
@@ -138,3 +148,13 @@ function stripHtml(html) {
     .replace(/\s+/g, ' ')
     .trim();
 }
+
+registerSource({
+  type: 'live_news_techcrunch',
+  name: 'TechCrunch News',
+  fetchCandidates: fetchTechCrunchCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 3,
+  capabilities: { timeSensitive: true },
+});
@@ -5,6 +5,10 @@
  * and business decisions from Wikipedia.
  */
 
+import { registerSource } from './registry.js';
+import { httpFetch } from '../utils/http.js';
+import { MAX_RAW_CONTENT_CHARS } from '../utils/content-budget.js';
+
 const WIKIPEDIA_API = 'https://en.wikipedia.org/api/rest_v1';
 
 // Curated list of historically significant product/company events
@@ -58,8 +62,13 @@ const HISTORICAL_TOPICS = [
 // Track recently used topics to avoid repetition
 let recentlyUsed = new Set();
 
-export async function fetchFromWikipedia() {
-  console.log('  Selecting historical topic...');
+/**
+ * List historical topics as candidates, in random order
+ * Articles are only fetched for candidates that get loaded.
+ * @returns {Promise<import('./registry.js').SourceCandidate[]>}
+ */
+export async function fetchWikipediaCandidates() {
+  console.log('  Selecting historical topics...');
   
   // Filter out recently used topics
   const available = HISTORICAL_TOPICS.filter(t => !recentlyUsed.has(t.title));
@@ -69,8 +78,19 @@ export async function fetchFromWikipedia() {
     recentlyUsed.clear();
   }
   
-  // Random selection
-  const selected = available[Math.floor(Math.random() * available.length)];
+  // Random order for variety
+  return available
+    .sort(() => Math.random() - 0.5)
+    .map(topic => ({
+      title: topic.title.replace(/_/g, ' '),
+      sourceUrl: `https://en.wikipedia.org/wiki/${topic.title}`,
+      companyName: topic.company,
+      score: 0,
+      load: () => loadTopic(topic),
+    }));
+}
+
+async function loadTopic(selected) {
   recentlyUsed.add(selected.title);
   
   console.log(`  Selected topic: ${selected.title} (${selected.company}, ${selected.year})`);
@@ -96,12 +116,12 @@ async function fetchWikipediaArticle(title) {
   try {
     // Fetch the article summary and extract
     const summaryUrl = `${WIKIPEDIA_API}/page/summary/${encodeURIComponent(title)}`;
-    const summaryResponse = await fetch(summaryUrl);
+    const summaryResponse = await httpFetch(summaryUrl);
     const summaryData = await summaryResponse.json();
     
     // Fetch full article content
     const contentUrl = `${WIKIPEDIA_API}/page/html/${encodeURIComponent(title)}`;
-    const contentResponse = await fetch(contentUrl);
+    const contentResponse = await httpFetch(contentUrl);
     const htmlContent = await contentResponse.text();
     
     // Extract and clean content
@@ -120,7 +140,7 @@ ${cleanedContent}
     
   } catch (error) {
     console.error(`  Error fetching Wikipedia: ${error.message}`);
-    return null;
+    throw error;
   }
 }
 
@@ -175,7 +195,7 @@ function extractWikipediaContent(html) {
   
   // Combine and limit content
   const combined = sections.join('\n\n');
-  return combined.substring(0, 5000); // Limit for Claude context
+  return combined.substring(0, MAX_RAW_CONTENT_CHARS); // Trimmed to the prompt budget in case-generator
 }
 
 function extractParagraphs(html) {
@@ -208,3 +228,13 @@ function stripHtmlTags(html) {
 
 // Export topics for seeding
 export { HISTORICAL_TOPICS };
+
+registerSource({
+  type: 'historical_wikipedia',
+  name: 'Wikipedia Historical',
+  fetchCandidates: fetchWikipediaCandidates,
+  weight: 1,
+  enabled: true,
+  dayOfWeek: 1,
+  capabilities: { curated: true },
+});
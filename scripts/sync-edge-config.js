@@ -0,0 +1,76 @@
+/**
+ * Sync Edge Config - Generates the edge functions' copy of the config schemas
+ *
+ * Usage:
+ *   node scripts/sync-edge-config.js          # Write supabase/functions/_shared/
+ *   node scripts/sync-edge-config.js --check  # Exit 1 if those files are out of date
+ *
+ * update-config, rollback-config and get-config run on Deno and can't
+ * import from scripts/, so this writes what they need next to them:
+ * the schemas from config/config-schemas.js as JSON, plus copies of the
+ * JSON Schema validator and the template checker. Edit the sources
+ * under scripts/ and re-run this rather than editing the generated files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_SCHEMAS, PROMPT_SECTION_SCHEMA } from './config/config-schemas.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SHARED_DIR = 'supabase/functions/_shared';
+
+// Modules copied as-is; they have no imports, so they run on Deno too
+const COPIED_MODULES = {
+  'json-schema.js': 'scripts/utils/json-schema.js',
+  'prompt-template.js': 'scripts/prompts/prompt-template.js',
+};
+
+/**
+ * Build the generated files
+ * @returns {Object<string, string>} Path under SHARED_DIR -> contents
+ */
+function buildFiles() {
+  const files = {
+    'config-schemas.json': JSON.stringify({
+      generated_from: 'scripts/config/config-schemas.js',
+      prompt_section_schema: PROMPT_SECTION_SCHEMA,
+      schemas: CONFIG_SCHEMAS,
+    }, null, 2) + '\n',
+  };
+
+  for (const [name, source] of Object.entries(COPIED_MODULES)) {
+    const header = `// Generated from ${source} by \`npm run config:sync-edge\`. Do not edit.\n\n`;
+    files[name] = header + fs.readFileSync(path.join(ROOT, source), 'utf8');
+  }
+
+  return files;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const stale = [];
+
+  for (const [name, contents] of Object.entries(buildFiles())) {
+    const file = path.join(ROOT, SHARED_DIR, name);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (current === contents) continue;
+
+    stale.push(`${SHARED_DIR}/${name}`);
+    if (!check) fs.writeFileSync(file, contents);
+  }
+
+  if (check && stale.length > 0) {
+    stale.forEach(file => console.error(`❌ ${file} is out of date`));
+    console.error('Run `npm run config:sync-edge` and commit the result');
+    process.exit(1);
+  }
+
+  if (check) {
+    console.log('✅ Edge function config schemas are in sync');
+  } else {
+    console.log(stale.length > 0 ? `🔄 Updated ${stale.join(', ')}` : '✅ Already in sync');
+  }
+}
+
+main();
@@ -4,27 +4,11 @@
  * Run with: npm run test:sources
  */
 
-import { fetchFromWikipedia } from './sources/wikipedia.js';
-import { fetchFromArchiveOrg } from './sources/archive-org.js';
-import { fetchFromTechCrunch } from './sources/techcrunch.js';
-import { fetchFromHackerNews } from './sources/hackernews.js';
-import { fetchFromCompanyBlogs } from './sources/company-blogs.js';
-import { fetchFromSECEdgar } from './sources/sec-edgar.js';
-import { fetchFromProductHunt } from './sources/producthunt.js';
-import { generateFrameworkCase } from './sources/framework-cases.js';
-
-const sources = [
-  { name: 'Wikipedia', fetcher: fetchFromWikipedia },
-  { name: 'Archive.org', fetcher: fetchFromArchiveOrg },
-  { name: 'TechCrunch', fetcher: fetchFromTechCrunch },
-  { name: 'Hacker News', fetcher: fetchFromHackerNews },
-  { name: 'Company Blogs', fetcher: fetchFromCompanyBlogs },
-  { name: 'SEC Edgar', fetcher: fetchFromSECEdgar },
-  { name: 'Product Hunt', fetcher: fetchFromProductHunt },
-  { name: 'Framework Cases', fetcher: generateFrameworkCase },
-];
+import { loadSources } from './sources/registry.js';
 
 async function testAllSources() {
+  const sources = await loadSources();
+
   console.log('🧪 Testing all content sources...\n');
   console.log('═'.repeat(60));
 
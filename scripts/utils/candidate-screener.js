@@ -0,0 +1,207 @@
+/**
+ * Candidate Screener
+ *
+ * Screens a source's ranked candidates before any content is loaded or
+ * sent to the LLM: drops items whose URL was already used, whose company
+ * is on cooldown, or whose title is close to a recent case, then loads
+ * the best remaining candidate.
+ */
+
+import { supabase } from './supabase-client.js';
+import { getCompanyCooldownDays } from '../config/config-loader.js';
+
+// Word-overlap (Jaccard) above which two titles count as the same story
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+// How far back titles are compared
+const TITLE_LOOKBACK_DAYS = 180;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'its', 'into', 'how',
+  'why', 'what', 'are', 'was', 'has', 'have', 'will', 'new', 'case', 'study',
+]);
+
+// Candidates taken by this process, so parallel cases from the same
+// source don't all pick the top item
+const claimed = new Set();
+
+/**
+ * Rejected candidate
+ * @typedef {Object} Rejection
+ * @property {string} title - Candidate title
+ * @property {string|null} sourceUrl - Candidate URL
+ * @property {string} reason - Why it was rejected
+ */
+
+/**
+ * Screen candidates against existing cases
+ * @param {import('../sources/registry.js').SourceCandidate[]} candidates - Ranked candidates
+ * @param {Object} options - Options
+ * @param {Object[]} options.exclude - Candidates ({ title, sourceUrl }) already tried for this case
+ * @returns {Promise<{accepted: Object[], rejected: Rejection[]}>} Accepted candidates keep their order
+ */
+export async function screenCandidates(candidates, options = {}) {
+  const { exclude = [] } = options;
+  const history = await loadHistory(candidates);
+  const excluded = new Set(exclude.map(claimKey));
+
+  const accepted = [];
+  const rejected = [];
+
+  for (const candidate of candidates) {
+    const reason = getRejectionReason(candidate, history, excluded);
+
+    if (reason) {
+      rejected.push({ title: candidate.title, sourceUrl: candidate.sourceUrl || null, reason });
+    } else {
+      accepted.push(candidate);
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Screen candidates and load the best one that yields content
+ * @param {import('../sources/registry.js').SourceCandidate[]} candidates - Ranked candidates
+ * @param {Object} options - Options
+ * @param {Object[]} options.exclude - Candidates ({ title, sourceUrl }) already tried for this case
+ * @param {Object} options.log - Logger with info()
+ * @returns {Promise<{rawContent: Object|null, candidate: Object|null, rejected: Rejection[]}>}
+ */
+export async function selectCandidate(candidates, options = {}) {
+  const { log = console } = options;
+  const { accepted, rejected } = await screenCandidates(candidates, options);
+
+  log.info(`🔎 ${candidates.length} candidate(s), ${accepted.length} passed pre-screening`);
+
+  for (const candidate of accepted) {
+    const key = claimKey(candidate);
+    if (claimed.has(key)) {
+      rejected.push({ title: candidate.title, sourceUrl: candidate.sourceUrl || null, reason: 'claimed by another case in this run' });
+      continue;
+    }
+    claimed.add(key);
+
+    try {
+      const rawContent = await candidate.load();
+
+      if (rawContent?.content) {
+        log.info(`✅ Selected: "${candidate.title}" (score: ${candidate.score})`);
+        return { rawContent, candidate, rejected };
+      }
+
+      rejected.push({ title: candidate.title, sourceUrl: candidate.sourceUrl || null, reason: 'no content' });
+    } catch (error) {
+      rejected.push({ title: candidate.title, sourceUrl: candidate.sourceUrl || null, reason: `load failed: ${error.message}` });
+    }
+  }
+
+  return { rawContent: null, candidate: null, rejected };
+}
+
+/**
+ * Load the existing-case data needed to screen a batch of candidates
+ * Query failures are logged and treated as "no history" so screening
+ * never blocks generation.
+ * @param {Object[]} candidates - Candidates to screen
+ * @returns {Promise<{usedUrls: Set<string>, companiesOnCooldown: Set<string>, cooldownDays: number, recentTitles: Set<string>[]}>}
+ */
+async function loadHistory(candidates) {
+  const urls = [...new Set(candidates.map(c => c.sourceUrl).filter(Boolean))];
+  const companies = [...new Set(candidates.map(c => c.companyName).filter(Boolean))];
+  const cooldownDays = await getCompanyCooldownDays();
+
+  const [urlResult, companyResult, titleResult] = await Promise.all([
+    urls.length > 0
+      ? supabase.from('case_studies').select('source_url').in('source_url', urls)
+      : { data: [] },
+    companies.length > 0
+      ? supabase
+          .from('case_studies')
+          .select('company_name')
+          .in('company_name', companies)
+          .gte('created_at', daysAgo(cooldownDays))
+      : { data: [] },
+    supabase
+      .from('case_studies')
+      .select('title, source_title')
+      .gte('created_at', daysAgo(TITLE_LOOKBACK_DAYS)),
+  ]);
+
+  for (const result of [urlResult, companyResult, titleResult]) {
+    if (result.error) console.warn(`⚠️ Candidate screening query failed: ${result.error.message}`);
+  }
+
+  return {
+    usedUrls: new Set((urlResult.data || []).map(r => r.source_url)),
+    companiesOnCooldown: new Set((companyResult.data || []).map(r => r.company_name.toLowerCase())),
+    cooldownDays,
+    recentTitles: (titleResult.data || [])
+      .flatMap(r => [r.title, r.source_title])
+      .filter(Boolean)
+      .map(titleWords),
+  };
+}
+
+/**
+ * Decide whether a candidate should be skipped
+ * @param {Object} candidate - The candidate
+ * @param {Object} history - Result of loadHistory
+ * @param {Set<string>} excluded - Keys of candidates already tried
+ * @returns {string|null} Rejection reason, or null if the candidate passes
+ */
+function getRejectionReason(candidate, history, excluded) {
+  if (excluded.has(claimKey(candidate))) {
+    return 'already tried for this case';
+  }
+
+  if (candidate.sourceUrl && history.usedUrls.has(candidate.sourceUrl)) {
+    return 'URL already used';
+  }
+
+  if (candidate.companyName && history.companiesOnCooldown.has(candidate.companyName.toLowerCase())) {
+    return `company on ${history.cooldownDays}-day cooldown`;
+  }
+
+  const words = titleWords(candidate.title);
+  for (const existing of history.recentTitles) {
+    const similarity = jaccard(words, existing);
+    if (similarity >= TITLE_SIMILARITY_THRESHOLD) {
+      return `title ${(similarity * 100).toFixed(0)}% similar to a recent case`;
+    }
+  }
+
+  return null;
+}
+
+function titleWords(title) {
+  return new Set(
+    (title || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(w => w.length > 2 && !STOPWORDS.has(w))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function claimKey(candidate) {
+  return candidate.sourceUrl || candidate.title;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+export default {
+  screenCandidates,
+  selectCandidate,
+};
@@ -0,0 +1,196 @@
+/**
+ * Case Study Schema
+ *
+ * JSON Schema for the current interview template, validated with
+ * utils/json-schema.js. Validation errors are phrased so they can be
+ * sent back to the model for repair.
+ */
+
+import { validateSchema } from './json-schema.js';
+
+// Canonical question types (mirrors the prompt_question_types section)
+export const QUESTION_TYPES = [
+  'Root Cause Analysis',
+  'Product Design',
+  'Metrics & Measurement',
+  'Feature Prioritization',
+  'Strategy & Vision',
+  'Pricing Strategy',
+  'Launch Decision',
+  'Growth Strategy',
+  'Trade-off Analysis',
+  'A/B Test Design',
+  'Estimation',
+  'Execution',
+];
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// 0 = Entry/APM, 1 = Mid, 2 = Senior, 3 = Lead/Director+
+export const SENIORITY_LEVELS = [0, 1, 2, 3];
+
+const stringList = (minItems, maxItems) => ({
+  type: 'array',
+  items: { type: 'string', minLength: 1 },
+  ...(minItems !== undefined && { minItems }),
+  ...(maxItems !== undefined && { maxItems }),
+});
+
+// Item counts follow the prompt_source_customization (writing style) section
+export const CASE_STUDY_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Case study',
+  type: 'object',
+  required: [
+    'title', 'the_question', 'what_happened', 'mental_model', 'answer_approach',
+    'pushback_scenarios', 'summary', 'interviewer_evaluation', 'common_mistakes',
+    'practice', 'difficulty', 'question_type', 'seniority_level',
+  ],
+  properties: {
+    title: { type: 'string', minLength: 10 },
+    the_question: { type: 'string', minLength: 20 },
+    read_time_minutes: { type: 'integer', minimum: 1, maximum: 10 },
+    what_happened: { type: 'string', minLength: 50 },
+    mental_model: {
+      type: 'object',
+      required: ['flow', 'steps'],
+      properties: {
+        flow: { type: 'string', minLength: 1 },
+        intro: { type: 'string' },
+        steps: stringList(1),
+        disclaimer: { type: 'string' },
+      },
+    },
+    answer_approach: {
+      type: 'array',
+      minItems: 7,
+      maxItems: 7,
+      items: {
+        type: 'object',
+        required: ['title', 'what_you_say'],
+        properties: {
+          part_number: { type: 'integer', minimum: 1 },
+          title: { type: 'string', minLength: 1 },
+          time_estimate: { type: 'string' },
+          what_you_say: { type: 'string', minLength: 1 },
+          questions_to_ask: stringList(),
+          thinking: { type: 'string' },
+        },
+      },
+    },
+    pushback_scenarios: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 3,
+      items: {
+        type: 'object',
+        required: ['if_they_say', 'you_say'],
+        properties: {
+          if_they_say: { type: 'string', minLength: 1 },
+          you_say: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    summary: {
+      type: 'object',
+      required: ['approach', 'key_insight'],
+      properties: {
+        approach: stringList(1),
+        key_insight: { type: 'string', minLength: 1 },
+      },
+    },
+    interviewer_evaluation: stringList(6, 8),
+    common_mistakes: stringList(5, 6),
+    practice: {
+      type: 'object',
+      required: ['question'],
+      properties: {
+        question: { type: 'string', minLength: 1 },
+        guidance: { type: 'string' },
+      },
+    },
+    difficulty: { type: 'string', enum: DIFFICULTIES },
+    question_type: { type: 'string', enum: QUESTION_TYPES },
+    seniority_level: { type: 'integer', enum: SENIORITY_LEVELS },
+    frameworks_applicable: stringList(),
+    industry: { type: 'string' },
+    tags: stringList(),
+    company_name: { type: ['string', 'null'] },
+    asked_in_company: { type: ['string', 'null'] },
+    image_prompt: { type: 'string' },
+  },
+};
+
+/**
+ * Map a free-form question_type to its canonical name
+ * e.g. "Product Design (Open-ended)" -> "Product Design"
+ * @param {string} value - question_type as written by the model or stored on a case
+ * @returns {string|null}
+ */
+export function canonicalQuestionType(value) {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.toLowerCase();
+  return QUESTION_TYPES.find(t => lower.startsWith(t.toLowerCase())) || null;
+}
+
+/**
+ * Fix formatting differences that don't need the model
+ * (question type suffixes, difficulty casing, numeric strings).
+ * Mutates and returns the case.
+ * @param {Object} caseStudy - Parsed model output
+ * @returns {Object}
+ */
+export function normalizeCaseStudy(caseStudy) {
+  if (!caseStudy || typeof caseStudy !== 'object') return caseStudy;
+
+  const questionType = canonicalQuestionType(caseStudy.question_type);
+  if (questionType) caseStudy.question_type = questionType;
+
+  if (typeof caseStudy.difficulty === 'string') {
+    caseStudy.difficulty = caseStudy.difficulty.trim().toLowerCase();
+  }
+
+  for (const key of ['seniority_level', 'read_time_minutes']) {
+    if (typeof caseStudy[key] === 'string' && /^\d+$/.test(caseStudy[key].trim())) {
+      caseStudy[key] = parseInt(caseStudy[key]);
+    }
+  }
+
+  return caseStudy;
+}
+
+/**
+ * Validate a case against CASE_STUDY_SCHEMA
+ * @param {Object} caseStudy - The case (its _meta is ignored)
+ * @returns {{isValid: boolean, errors: string[]}} Errors read "path: problem"
+ */
+export function validateCaseStudy(caseStudy) {
+  const errors = validateSchema(caseStudy, CASE_STUDY_SCHEMA, 'case');
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Build the follow-up message asking the model to fix schema errors
+ * @param {string[]} errors - Errors from validateCaseStudy (or a parse error)
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+  return `Your JSON does not match the required case study schema:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the complete corrected JSON object (not just the changed fields) that satisfies this JSON Schema:
+${JSON.stringify(CASE_STUDY_SCHEMA)}
+
+Respond ONLY with valid JSON.`;
+}
+
+export default {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  SENIORITY_LEVELS,
+  CASE_STUDY_SCHEMA,
+  canonicalQuestionType,
+  normalizeCaseStudy,
+  validateCaseStudy,
+  buildRepairPrompt,
+};
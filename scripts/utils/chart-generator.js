@@ -238,7 +238,7 @@ export async function generateImageFromPrompt(supabaseClient, caseId, imagePromp
  * @param {string} title - The case study title for seed
  * @returns {string} SVG content
  */
-function generateThemedSVGFromPrompt(imagePrompt, title) {
+export function generateThemedSVGFromPrompt(imagePrompt, title) {
   const promptLower = imagePrompt.toLowerCase();
 
   // Determine theme based on prompt keywords
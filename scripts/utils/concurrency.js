@@ -0,0 +1,102 @@
+/**
+ * Concurrency Utility
+ *
+ * Bounded-concurrency task runner plus a shared rate-limit gate, so
+ * parallel case generations back off together when the LLM API
+ * returns 429.
+ */
+
+// Default wait when a 429 has no usable retry-after header
+const DEFAULT_RATE_LIMIT_WAIT_MS = 10000;
+
+// Time before which no new LLM call should start
+let rateLimitedUntil = 0;
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+/**
+ * Wait until any active rate-limit pause has elapsed
+ * @returns {Promise<void>}
+ */
+export async function waitForRateLimit() {
+  while (Date.now() < rateLimitedUntil) {
+    await sleep(rateLimitedUntil - Date.now());
+  }
+}
+
+/**
+ * Pause all LLM callers for the given duration
+ * Extends, never shortens, an existing pause.
+ * @param {number} ms - Milliseconds to pause
+ */
+export function pauseForRateLimit(ms) {
+  rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + ms);
+}
+
+/**
+ * Check whether an error is an HTTP 429 from the API
+ * @param {Error} error - The error thrown by the SDK
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+  return error?.status === 429;
+}
+
+/**
+ * Read how long the API asked us to wait
+ * Honours retry-after (seconds) and Groq's x-ratelimit-reset-* headers.
+ * @param {Error} error - A rate-limit error from the SDK
+ * @returns {number} Milliseconds to wait
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers || {};
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfter = parseFloat(get('retry-after'));
+  if (!Number.isNaN(retryAfter)) {
+    return Math.ceil(retryAfter * 1000);
+  }
+
+  // e.g. "7.66s" or "2m59.56s"
+  const reset = get('x-ratelimit-reset-tokens') || get('x-ratelimit-reset-requests');
+  const match = typeof reset === 'string' && reset.match(/^(?:(\d+)m)?([\d.]+)s$/);
+  if (match) {
+    return Math.ceil(((parseInt(match[1] || '0') * 60) + parseFloat(match[2])) * 1000);
+  }
+
+  return DEFAULT_RATE_LIMIT_WAIT_MS;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  mapWithConcurrency,
+  waitForRateLimit,
+  pauseForRateLimit,
+  isRateLimitError,
+  getRetryAfterMs,
+};
@@ -0,0 +1,192 @@
+/**
+ * Content Budget
+ *
+ * Fits fetched raw content into what's left of the model's context window
+ * once the system prompt, the rest of the user prompt and the output
+ * allowance are counted. Content over budget is cut down to its most
+ * relevant paragraphs (mentions of the subject, decisions, figures)
+ * rather than its first N characters.
+ */
+
+// Rough characters per token for English prose
+const CHARS_PER_TOKEN = 4;
+
+// Upper bound on what a fetcher returns; the budget trims it further
+export const MAX_RAW_CONTENT_CHARS = 20000;
+
+// Paragraphs longer than this are split into sentence chunks before scoring
+const MAX_CHUNK_TOKENS = 250;
+
+// Content budget floor, so a large system prompt doesn't leave nothing to work with
+export const MIN_CONTENT_TOKENS = 500;
+
+// Marks where paragraphs were dropped
+const GAP_MARKER = '[...]';
+
+// Words that signal a product or business decision
+const DECISION_TERMS = [
+  'launch', 'decid', 'decision', 'strategy', 'pivot', 'users', 'customers', 'revenue',
+  'growth', 'pricing', 'price', 'subscri', 'competitor', 'market', 'churn', 'retention',
+  'acquisition', 'acquired', 'feature', 'product', 'metric', 'shut down', 'layoff', 'funding',
+  'valuation', 'profit', 'loss', 'backlash', 'rollout', 'experiment',
+];
+
+const KEYWORD_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'what', 'when', 'how', 'why',
+  'into', 'about', 'after', 'over', 'your', 'their', 'show', 'launches', 'announces',
+]);
+
+/**
+ * Estimate the token count of text
+ * Counts characters and words and takes the larger estimate, which holds
+ * up for figure-heavy text where characters alone undercount.
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.ceil(Math.max(text.length / CHARS_PER_TOKEN, words * 1.3));
+}
+
+/**
+ * Work out how many tokens the raw content may use
+ * @param {Object} params - Budget inputs
+ * @param {number} params.contextWindow - Model context window in tokens
+ * @param {string} params.systemPrompt - The assembled system prompt
+ * @param {string} params.promptOverhead - The user prompt with empty content
+ * @param {number} params.maxOutputTokens - max_tokens for the response
+ * @param {Object} params.policy - content_budget config ({ max_content_tokens, reserve_tokens })
+ * @returns {{budget: number, available: number, promptTokens: number}}
+ */
+export function computeContentBudget({ contextWindow, systemPrompt, promptOverhead, maxOutputTokens, policy = {} }) {
+  const { max_content_tokens: maxContentTokens = 2000, reserve_tokens: reserveTokens = 500 } = policy;
+
+  const promptTokens = estimateTokens(systemPrompt) + estimateTokens(promptOverhead);
+  const available = contextWindow - promptTokens - maxOutputTokens - reserveTokens;
+
+  return {
+    budget: Math.max(MIN_CONTENT_TOKENS, Math.min(available, maxContentTokens)),
+    available,
+    promptTokens,
+  };
+}
+
+/**
+ * Trim content to a token budget, keeping its most relevant parts
+ * The lead paragraph is preferred, then paragraphs that mention the
+ * subject, decisions and figures. Kept parts stay in their original order.
+ * @param {string} content - Raw content
+ * @param {number} budget - Token budget
+ * @param {Object} options - Options
+ * @param {string[]} options.keywords - Subject terms (title, company) that mark relevant paragraphs
+ * @returns {{content: string, originalTokens: number, tokens: number, trimmed: boolean, kept: number, total: number}}
+ */
+export function fitContent(content, budget, options = {}) {
+  const originalTokens = estimateTokens(content);
+
+  if (originalTokens <= budget) {
+    return { content, originalTokens, tokens: originalTokens, trimmed: false, kept: 1, total: 1 };
+  }
+
+  const keywords = extractKeywords(options.keywords || []);
+  const chunks = splitChunks(content).map((text, index) => {
+    const tokens = estimateTokens(text);
+    return { text, index, tokens, score: scoreChunk(text, index, keywords) / Math.sqrt(tokens) };
+  });
+
+  // Greedy by relevance density; a chunk that doesn't fit is skipped for smaller ones
+  const selected = [];
+  let used = estimateTokens(GAP_MARKER);
+  for (const chunk of [...chunks].sort((a, b) => b.score - a.score || a.index - b.index)) {
+    if (used + chunk.tokens <= budget) {
+      selected.push(chunk);
+      used += chunk.tokens;
+    }
+  }
+
+  // Nothing fits whole (one huge chunk): fall back to a hard cut
+  if (selected.length === 0) {
+    const cut = content.substring(0, budget * CHARS_PER_TOKEN);
+    return { content: cut, originalTokens, tokens: estimateTokens(cut), trimmed: true, kept: 0, total: chunks.length };
+  }
+
+  selected.sort((a, b) => a.index - b.index);
+
+  const parts = [];
+  selected.forEach((chunk, i) => {
+    const previous = selected[i - 1];
+    if (previous ? chunk.index - previous.index > 1 : chunk.index > 0) parts.push(GAP_MARKER);
+    parts.push(chunk.text);
+  });
+  if (selected[selected.length - 1].index < chunks.length - 1) parts.push(GAP_MARKER);
+
+  const trimmed = parts.join('\n\n');
+
+  return {
+    content: trimmed,
+    originalTokens,
+    tokens: estimateTokens(trimmed),
+    trimmed: true,
+    kept: selected.length,
+    total: chunks.length,
+  };
+}
+
+/**
+ * Split content into paragraphs, breaking long ones into sentence chunks
+ * (several fetchers collapse whitespace, leaving one long paragraph)
+ * @param {string} content - Raw content
+ * @returns {string[]}
+ */
+function splitChunks(content) {
+  const chunks = [];
+
+  for (const paragraph of content.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (estimateTokens(paragraph) <= MAX_CHUNK_TOKENS) {
+      chunks.push(paragraph);
+      continue;
+    }
+
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [paragraph]) {
+      if (current && estimateTokens(current + sentence) > MAX_CHUNK_TOKENS) {
+        chunks.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    }
+    if (current.trim()) chunks.push(current.trim());
+  }
+
+  return chunks;
+}
+
+function extractKeywords(phrases) {
+  const words = phrases
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .match(/[a-z0-9][a-z0-9'-]{2,}/g) || [];
+  return [...new Set(words.filter(w => !KEYWORD_STOPWORDS.has(w)))];
+}
+
+function scoreChunk(text, index, keywords) {
+  const lower = text.toLowerCase();
+  let score = 1;
+
+  if (index === 0) score += 3;
+  score += 2 * keywords.filter(k => lower.includes(k)).length;
+  score += DECISION_TERMS.filter(t => lower.includes(t)).length;
+  score += Math.min(3, (text.match(/[$€£]\s?\d|\d+(?:\.\d+)?\s?(?:%|percent|million|billion)|\b(?:19|20)\d{2}\b/gi) || []).length);
+
+  return score;
+}
+
+export default {
+  MAX_RAW_CONTENT_CHARS,
+  MIN_CONTENT_TOKENS,
+  estimateTokens,
+  computeContentBudget,
+  fitContent,
+};
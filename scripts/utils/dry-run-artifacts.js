@@ -0,0 +1,370 @@
+/**
+ * Dry-Run Artifacts
+ *
+ * Writes everything a dry run produced to a timestamped folder so it can
+ * be reviewed without a database:
+ *
+ *   output/dry-runs/<timestamp>/
+ *     prompt-template.md
+ *     report.md
+ *     01-<slug>/case.json, case.md, image.svg, meta.json, system-prompt.md
+ *
+ * prompt-template.md is the prompt before variables are filled in; its
+ * hash is the prompt template version. Each case's system-prompt.md is
+ * the prompt as rendered for its source and sent to the model.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { generateThemedSVGFromPrompt } from './chart-generator.js';
+import { validateCaseStudy } from './case-schema.js';
+
+// Default base directory: <repo>/output/dry-runs
+export const DEFAULT_OUTPUT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../output/dry-runs'
+);
+
+// Template sections, in reading order
+const SECTIONS = [
+  'the_question',
+  'what_happened',
+  'mental_model',
+  'answer_approach',
+  'pushback_scenarios',
+  'summary',
+  'interviewer_evaluation',
+  'common_mistakes',
+  'practice',
+];
+
+const WORD_RANGE = [600, 700];
+
+/**
+ * Write all artifacts for a dry run
+ * @param {Object} run - Run data
+ * @param {Object[]} run.cases - Generated cases (results.generated of a dry run)
+ * @param {string} run.promptTemplate - The assembled prompt template, before variables are rendered
+ * @param {string} run.promptVersionHash - Hash of the prompt template (the prompt template version)
+ * @param {Object} run.results - Full results ({ generated, skipped, failed })
+ * @param {Object} options - Options
+ * @param {string} options.baseDir - Parent directory for the timestamped folder
+ * @returns {string} Path of the run folder
+ */
+export function writeDryRunArtifacts(run, options = {}) {
+  const { baseDir = DEFAULT_OUTPUT_DIR } = options;
+  const { cases = [], promptTemplate, promptVersionHash, results } = run;
+
+  const runDir = path.join(baseDir, new Date().toISOString().replace(/[:.]/g, '-'));
+  mkdirSync(runDir, { recursive: true });
+
+  if (promptTemplate) {
+    writeFileSync(path.join(runDir, 'prompt-template.md'), promptTemplate);
+  }
+
+  const entries = cases.map((caseStudy, i) => {
+    const caseDir = path.join(runDir, `${String(i + 1).padStart(2, '0')}-${slugify(caseStudy.title)}`);
+    writeCaseArtifacts(caseDir, caseStudy);
+
+    return {
+      dir: path.basename(caseDir),
+      caseStudy,
+      sections: measureSections(caseStudy),
+      validation: validateSections(caseStudy),
+    };
+  });
+
+  writeFileSync(
+    path.join(runDir, 'report.md'),
+    renderReport(entries, { promptVersionHash, results })
+  );
+
+  return runDir;
+}
+
+/**
+ * Write the JSON, Markdown, SVG and metadata for one case
+ * @param {string} caseDir - Directory to create
+ * @param {Object} caseStudy - The generated case
+ */
+function writeCaseArtifacts(caseDir, caseStudy) {
+  mkdirSync(caseDir, { recursive: true });
+
+  const { _meta, ...caseData } = caseStudy;
+
+  writeFileSync(path.join(caseDir, 'case.json'), JSON.stringify(caseData, null, 2));
+  writeFileSync(path.join(caseDir, 'case.md'), renderCaseMarkdown(caseData));
+
+  if (caseData.image_prompt) {
+    writeFileSync(
+      path.join(caseDir, 'image.svg'),
+      generateThemedSVGFromPrompt(caseData.image_prompt, caseData.title || '')
+    );
+  }
+
+  // Missing for cases transformed before a --resume
+  if (_meta?.systemPrompt) {
+    writeFileSync(path.join(caseDir, 'system-prompt.md'), _meta.systemPrompt);
+  }
+
+  writeFileSync(path.join(caseDir, 'meta.json'), JSON.stringify({
+    provider: _meta?.provider,
+    model: _meta?.model,
+    fallbacks: _meta?.fallbacks || [],
+    tokensUsed: _meta?.tokensUsed,
+    costUsd: _meta?.costUsd,
+    durationMs: _meta?.durationMs,
+    promptTemplateHash: caseData.prompt_version_hash,
+    promptExperiments: caseData.prompt_experiments || {},
+    sourceType: caseData.source_type,
+    sourceUrl: caseData.source_url,
+    generationLogId: caseData.generation_log_id,
+    judging: _meta?.judging || null,
+    contentBudget: _meta?.contentBudget || null,
+  }, null, 2));
+}
+
+/**
+ * Render a case as Markdown, in the order it is read
+ * @param {Object} caseStudy - The generated case
+ * @returns {string}
+ */
+export function renderCaseMarkdown(caseStudy) {
+  const lines = [];
+  const list = (items) => (items || []).forEach(item => lines.push(`- ${item}`));
+
+  lines.push(`# ${caseStudy.title}`, '');
+  lines.push(`*${caseStudy.company_name || 'Unknown company'} · ${caseStudy.question_type || 'Unknown type'} · ${caseStudy.difficulty || 'unknown'} · ${caseStudy.read_time_minutes || '?'} min read*`, '');
+
+  lines.push('## The Question', '', `> ${caseStudy.the_question || ''}`, '');
+  lines.push('## What Happened', '', caseStudy.what_happened || '', '');
+
+  const model = caseStudy.mental_model || {};
+  lines.push('## Mental Model', '');
+  if (model.flow) lines.push(`**${model.flow}**`, '');
+  if (model.intro) lines.push(model.intro, '');
+  (model.steps || []).forEach((step, i) => lines.push(`${i + 1}. ${step}`));
+  if (model.disclaimer) lines.push('', `*${model.disclaimer}*`);
+  lines.push('');
+
+  lines.push('## Answer Approach', '');
+  for (const part of caseStudy.answer_approach || []) {
+    lines.push(`### ${part.part_number ?? ''}. ${part.title || ''}${part.time_estimate ? ` (${part.time_estimate})` : ''}`, '');
+    if (part.what_you_say) lines.push(`> ${part.what_you_say}`, '');
+    list(part.questions_to_ask);
+    if (part.questions_to_ask?.length) lines.push('');
+    if (part.thinking) lines.push(`*Thinking:* ${part.thinking}`, '');
+  }
+
+  lines.push('## Pushback Scenarios', '');
+  for (const scenario of caseStudy.pushback_scenarios || []) {
+    lines.push(`**If they say:** ${scenario.if_they_say}`, '', `**You say:** ${scenario.you_say}`, '');
+  }
+
+  const summary = caseStudy.summary || {};
+  lines.push('## Summary', '');
+  if (summary.approach?.length) lines.push(summary.approach.join(' → '), '');
+  if (summary.key_insight) lines.push(`**Key insight:** ${summary.key_insight}`, '');
+
+  lines.push('## What Interviewers Look For', '');
+  list(caseStudy.interviewer_evaluation);
+  lines.push('', '## Common Mistakes', '');
+  list(caseStudy.common_mistakes);
+  lines.push('');
+
+  const practice = caseStudy.practice || {};
+  lines.push('## Practice', '', practice.question || '', '');
+  if (practice.guidance) lines.push(`*${practice.guidance}*`, '');
+
+  if (caseStudy.image_prompt) {
+    lines.push('![Case illustration](image.svg)', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Measure each template section
+ * @param {Object} caseStudy - The generated case
+ * @returns {Object<string, {chars: number, words: number, items: number|null}>}
+ */
+function measureSections(caseStudy) {
+  const sections = {};
+
+  for (const key of SECTIONS) {
+    const text = sectionText(caseStudy[key]);
+    sections[key] = {
+      chars: text.length,
+      words: countWords(text),
+      items: Array.isArray(caseStudy[key]) ? caseStudy[key].length : null,
+    };
+  }
+
+  return sections;
+}
+
+/**
+ * Check a case against the template schema, plus style targets
+ * @param {Object} caseStudy - The generated case
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateSections(caseStudy) {
+  const { errors } = validateCaseStudy(caseStudy);
+  const warnings = [];
+
+  if (!caseStudy.image_prompt) warnings.push('image_prompt is missing');
+
+  const words = SECTIONS.reduce((sum, key) => sum + countWords(sectionText(caseStudy[key])), 0);
+  if (words < WORD_RANGE[0] || words > WORD_RANGE[1]) {
+    warnings.push(`${words} words total (target ${WORD_RANGE[0]}-${WORD_RANGE[1]})`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Render the run summary report
+ * @param {Object[]} entries - Per-case measurements and validation
+ * @param {Object} context - Run context
+ * @returns {string}
+ */
+function renderReport(entries, context) {
+  const { promptVersionHash, results } = context;
+  const lines = [];
+
+  const totalTokens = entries.reduce((sum, e) => sum + (callTotals(e.caseStudy._meta).tokens || 0), 0);
+  const totalCost = entries.reduce((sum, e) => sum + (callTotals(e.caseStudy._meta).usd || 0), 0);
+
+  lines.push('# Dry Run Report', '');
+  lines.push(`- **Run at:** ${new Date().toISOString()}`);
+  if (promptVersionHash) lines.push(`- **Prompt template version:** \`${promptVersionHash.substring(0, 12)}\``);
+  lines.push(`- **Generated:** ${entries.length}`);
+  if (results) {
+    lines.push(`- **Skipped:** ${results.skipped.length}`);
+    lines.push(`- **Failed:** ${results.failed.length}`);
+  }
+  lines.push(`- **Tokens:** ${totalTokens.toLocaleString()}`);
+  lines.push(`- **Cost:** $${totalCost.toFixed(4)}`, '');
+
+  for (const entry of entries) {
+    const { caseStudy, sections, validation } = entry;
+    const meta = caseStudy._meta || {};
+    const totals = callTotals(meta);
+
+    lines.push(`## ${caseStudy.title || 'Untitled'}`, '');
+    lines.push(`Folder: \`${entry.dir}\` · Source: \`${caseStudy.source_type || '-'}\` · Model: \`${meta.model || '-'}\` · Tokens: ${totals.tokens ?? '-'} · Cost: $${(totals.usd || 0).toFixed(4)}`, '');
+
+    if (meta.judging) {
+      lines.push(renderJudging(meta.judging), '');
+    }
+
+    if (caseStudy.grounding) {
+      lines.push(renderGrounding(caseStudy.grounding), '');
+    }
+
+    lines.push('| Section | Words | Chars | Items |');
+    lines.push('|---------|-------|-------|-------|');
+    for (const [key, size] of Object.entries(sections)) {
+      lines.push(`| ${key} | ${size.words} | ${size.chars} | ${size.items ?? '-'} |`);
+    }
+    lines.push('');
+
+    if (validation.errors.length === 0 && validation.warnings.length === 0) {
+      lines.push('✅ Validation passed', '');
+    } else {
+      validation.errors.forEach(e => lines.push(`- ❌ ${e}`));
+      validation.warnings.forEach(w => lines.push(`- ⚠️ ${w}`));
+      lines.push('');
+    }
+  }
+
+  if (results?.failed.length) {
+    lines.push('## Failures', '');
+    results.failed.forEach(f => lines.push(`- \`${f.sourceType || 'unknown'}\`: ${String(f.error).split('\n')[0]}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Tokens and cost of every call behind a case, including unpicked variants and the judge
+ * @param {Object} meta - The case's _meta
+ * @returns {{tokens: number|undefined, usd: number|undefined}}
+ */
+function callTotals(meta = {}) {
+  return meta.judging
+    ? { tokens: meta.judging.totalTokens, usd: meta.judging.totalCostUsd }
+    : { tokens: meta.tokensUsed, usd: meta.costUsd };
+}
+
+/**
+ * Render the best-of-N scores table for a case
+ * @param {Object} judging - _meta.judging from transformWithVariants
+ * @returns {string}
+ */
+function renderJudging(judging) {
+  const lines = [`Best of ${judging.generated} variant(s) · Winner: variant ${judging.winner}`, ''];
+
+  lines.push('| Variant | Title | Overall | Cost | Rationale |');
+  lines.push('|---------|-------|---------|------|-----------|');
+  for (const variant of judging.variants) {
+    const score = judging.scores?.[variant.variant - 1];
+    const mark = variant.variant === judging.winner ? ' 🏅' : '';
+    lines.push(`| ${variant.variant}${mark} | ${variant.title || '-'} | ${score ? score.overall.toFixed(1) : '-'} | $${(variant.costUsd || 0).toFixed(4)} | ${score?.rationale || '-'} |`);
+  }
+
+  if (judging.judge) {
+    lines.push('', `Judge: \`${judging.judge.model}\` · $${judging.judge.costUsd.toFixed(4)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the source grounding result for a case
+ * @param {Object} grounding - Report from checkGrounding
+ * @returns {string}
+ */
+function renderGrounding(grounding) {
+  const status = grounding.blocked ? '🚫 Blocked' : grounding.reason ? '⚠️ Flagged' : '✅ Grounded';
+  const lines = [`Grounding: ${status} · ${grounding.checked - grounding.unsupported.length}/${grounding.checked} claims found in source`];
+
+  if (grounding.unsupported.length > 0) {
+    lines.push('', ...grounding.unsupported.map(claim => `- Unsupported: ${claim}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Flatten a section value to plain text
+ * @param {*} value - String, array or object
+ * @returns {string}
+ */
+function sectionText(value) {
+  if (value == null) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(sectionText).join('\n');
+  if (typeof value === 'object') return Object.values(value).map(sectionText).join('\n');
+  return String(value);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function slugify(text) {
+  return (text || 'untitled')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 50);
+}
+
+export default {
+  DEFAULT_OUTPUT_DIR,
+  writeDryRunArtifacts,
+  renderCaseMarkdown,
+};
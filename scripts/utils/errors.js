@@ -0,0 +1,203 @@
+/**
+ * Error Model
+ *
+ * Classifies failures from fetchers, the LLM and the database into a
+ * small set of classes, retries the transient ones with exponential
+ * backoff, and formats errors readably for generation_logs.
+ */
+
+import { getRetryAfterMs } from './concurrency.js';
+
+/**
+ * Error classes stored with failed generations
+ */
+export const ErrorClasses = {
+  NETWORK_TIMEOUT: 'network_timeout',
+  NETWORK: 'network_error',
+  RATE_LIMIT: 'http_429',
+  SERVER: 'http_5xx',
+  CLIENT: 'http_4xx',
+  LLM_TRUNCATION: 'llm_truncation',
+  JSON_PARSE: 'json_parse',
+  SCHEMA_VALIDATION: 'schema_validation',
+  DB_CONSTRAINT: 'db_constraint',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Classes that are worth retrying by default
+ */
+export const TRANSIENT_ERROR_CLASSES = [
+  ErrorClasses.NETWORK_TIMEOUT,
+  ErrorClasses.NETWORK,
+  ErrorClasses.RATE_LIMIT,
+  ErrorClasses.SERVER,
+];
+
+// Node network error codes
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+/**
+ * Error with an explicit class, for failures we detect ourselves
+ */
+export class GenerationError extends Error {
+  /**
+   * @param {string} message - Readable message
+   * @param {Object} options - Options
+   * @param {string} options.errorClass - One of ErrorClasses
+   * @param {number} options.status - HTTP status, if any
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'GenerationError';
+    this.errorClass = options.errorClass || ErrorClasses.UNKNOWN;
+    this.status = options.status;
+  }
+}
+
+/**
+ * Map an HTTP status to an error class
+ * @param {number} status - HTTP status code
+ * @returns {string|null}
+ */
+function classifyStatus(status) {
+  if (status === 429) return ErrorClasses.RATE_LIMIT;
+  if (status >= 500) return ErrorClasses.SERVER;
+  if (status >= 400) return ErrorClasses.CLIENT;
+  return null;
+}
+
+/**
+ * Classify any thrown value
+ * @param {*} error - Error, SDK error or Supabase error object
+ * @returns {string} One of ErrorClasses
+ */
+export function classifyError(error) {
+  if (!error) return ErrorClasses.UNKNOWN;
+
+  if (error instanceof GenerationError && error.errorClass !== ErrorClasses.UNKNOWN) {
+    return error.errorClass;
+  }
+
+  // HTTP status from SDKs, our own errors, or rss-parser's "Status code 503"
+  const status = error.status
+    ?? error.response?.status
+    ?? parseInt(String(error.message).match(/Status code (\d{3})/)?.[1]);
+  const statusClass = classifyStatus(status);
+  if (statusClass) return statusClass;
+
+  const code = error.code || error.cause?.code;
+
+  // Postgres integrity constraint violations (class 23)
+  if (typeof code === 'string' && /^23\d{3}$/.test(code)) {
+    return ErrorClasses.DB_CONSTRAINT;
+  }
+
+  if (
+    error.name === 'TimeoutError' ||
+    error.name === 'APIConnectionTimeoutError' ||
+    TIMEOUT_ERROR_CODES.includes(code) ||
+    /timed? ?out/i.test(error.message || '')
+  ) {
+    return ErrorClasses.NETWORK_TIMEOUT;
+  }
+
+  if (
+    error.name === 'APIConnectionError' ||
+    NETWORK_ERROR_CODES.includes(code) ||
+    error.message === 'fetch failed'
+  ) {
+    return ErrorClasses.NETWORK;
+  }
+
+  if (error instanceof SyntaxError) {
+    return ErrorClasses.JSON_PARSE;
+  }
+
+  return ErrorClasses.UNKNOWN;
+}
+
+/**
+ * Format an error for logs and generation_logs.error_message
+ * @param {*} error - Any thrown value
+ * @param {Object} options - Options
+ * @param {boolean} options.includeStack - Append the stack trace
+ * @returns {string}
+ */
+export function formatError(error, options = {}) {
+  const { includeStack = true } = options;
+  const errorClass = classifyError(error);
+
+  let message = error?.message || (typeof error === 'string' ? error : 'Unknown error');
+
+  // Supabase/PostgREST errors are plain objects with extra context
+  if (error?.details) message += ` (${error.details})`;
+  if (error?.hint) message += ` Hint: ${error.hint}`;
+  if (error?.cause?.message) message += ` Cause: ${error.cause.message}`;
+
+  const summary = `[${errorClass}] ${message}`;
+
+  if (includeStack && error?.stack) {
+    return `${summary}\n${error.stack}`;
+  }
+
+  return summary;
+}
+
+/**
+ * Run an async function, retrying transient failures with backoff
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - Options
+ * @param {number} options.maxAttempts - Total attempts including the first
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for a single delay
+ * @param {string[]} options.retryOn - Error classes to retry
+ * @param {string} options.label - Name used in retry log lines
+ * @returns {Promise<*>} The function's result
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    retryOn = TRANSIENT_ERROR_CLASSES,
+    label = 'operation',
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const errorClass = classifyError(error);
+
+      if (attempt >= maxAttempts || !retryOn.includes(errorClass)) {
+        throw error;
+      }
+
+      // Exponential backoff with jitter; honour the server's wait on 429
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delay = errorClass === ErrorClasses.RATE_LIMIT
+        ? Math.min(maxDelayMs, getRetryAfterMs(error))
+        : Math.round(backoff * (0.5 + Math.random() / 2));
+
+      console.warn(`  ↻ ${label} failed [${errorClass}]: ${error.message}. Retrying in ${delay}ms (${attempt}/${maxAttempts - 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  ErrorClasses,
+  TRANSIENT_ERROR_CLASSES,
+  GenerationError,
+  classifyError,
+  formatError,
+  withRetry,
+};
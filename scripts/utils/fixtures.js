@@ -0,0 +1,88 @@
+/**
+ * Source Fixtures
+ *
+ * Records the raw objects returned by source fetchers to local JSON files
+ * and loads them back, so a case can be regenerated from identical input
+ * after the original article has changed or disappeared.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Default fixture directory: <repo>/fixtures/sources
+export const DEFAULT_FIXTURE_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/sources'
+);
+
+/**
+ * Fixture file contents
+ * @typedef {Object} SourceFixture
+ * @property {string} sourceType - Source type that produced the content
+ * @property {string} recordedAt - ISO timestamp of the fetch
+ * @property {Object} rawContent - The fetcher's return value, unmodified
+ * @property {Object} targets - Question type / difficulty hints used for the prompt
+ */
+
+/**
+ * Write a fetcher result to the fixture directory
+ * @param {string} sourceType - Source type that produced the content
+ * @param {Object} rawContent - The fetcher's return value
+ * @param {Object} options - Options
+ * @param {string} options.dir - Directory to write to
+ * @param {Object} options.targets - Prompt targets to replay alongside the content
+ * @returns {string} Path of the written fixture
+ */
+export function saveFixture(sourceType, rawContent, options = {}) {
+  const { dir = DEFAULT_FIXTURE_DIR, targets = {} } = options;
+  const recordedAt = new Date().toISOString();
+
+  mkdirSync(dir, { recursive: true });
+
+  const slug = (rawContent.title || 'untitled')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 50);
+  const fileName = `${recordedAt.replace(/[:.]/g, '-')}_${sourceType}_${slug}.json`;
+  const filePath = path.join(dir, fileName);
+
+  /** @type {SourceFixture} */
+  const fixture = { sourceType, recordedAt, targets, rawContent };
+  writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+
+  return filePath;
+}
+
+/**
+ * Load a recorded fixture
+ * @param {string} fixture - File path, or a file name inside the default directory
+ * @returns {SourceFixture}
+ */
+export function loadFixture(fixture) {
+  const candidates = [
+    path.resolve(fixture),
+    path.join(DEFAULT_FIXTURE_DIR, fixture),
+    path.join(DEFAULT_FIXTURE_DIR, `${fixture}.json`),
+  ];
+  const filePath = candidates.find(p => existsSync(p));
+
+  if (!filePath) {
+    throw new Error(`Fixture not found: ${fixture}`);
+  }
+
+  const data = JSON.parse(readFileSync(filePath, 'utf8'));
+
+  if (!data.sourceType || !data.rawContent?.content) {
+    throw new Error(`Invalid fixture ${filePath}: expected { sourceType, rawContent: { content } }`);
+  }
+
+  return { ...data, path: filePath };
+}
+
+export default {
+  DEFAULT_FIXTURE_DIR,
+  saveFixture,
+  loadFixture,
+};
@@ -1,51 +1,27 @@
 /**
  * Groq Client Utility
  *
- * Centralized Groq API client for case study generation using Llama models.
+ * Case study helpers for Llama models. Calls go through the active LLM
+ * provider (see scripts/llm/providers.js), which is Groq by default.
  */
 
-import Groq from 'groq-sdk';
-
-// Validate environment variable
-const apiKey = process.env.GROQ_API_KEY;
-
-if (!apiKey) {
-  throw new Error('Missing GROQ_API_KEY environment variable');
-}
-
-// Initialize Groq client
-export const groq = new Groq({
-  apiKey: apiKey,
-});
+import { getLlmProvider } from '../llm/providers.js';
+import { calculateCost } from '../llm/model-catalog.js';
+import { normalizeCaseStudy, validateCaseStudy as validateAgainstSchema } from './case-schema.js';
 
 // Model configuration
 // Available models: llama-3.3-70b-versatile, llama-3.1-8b-instant, llama3-70b-8192
 export const MODEL_CONFIG = {
   model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
   maxTokens: 1500, // Safe limit for case study generation (output ~800-1000 tokens typical)
-  // Groq pricing (as of 2024) - much cheaper than Claude
-  // llama-3.3-70b-versatile: $0.59 input, $0.79 output per million tokens
-  pricing: {
-    input: 0.00059,   // $0.59 per million input tokens
-    output: 0.00079,  // $0.79 per million output tokens
-  },
+  // Pricing comes from the model catalog (model_catalog config)
 };
 
 /**
  * Generate a case study from raw content
+ * Per-source guidance comes from the system prompt (prompt_source_guidance).
  */
 export async function generateCaseStudy(rawContent, sourceType, systemPrompt) {
-  const sourceTypePromptAdditions = {
-    'historical_wikipedia': `This is a HISTORICAL case. Write as if the reader is facing the decision at the time it happened. Use dramatic irony - the reader might know how things turned out, but the challenge should capture the uncertainty of the moment.`,
-    'historical_archive': `This is a HISTORICAL case from archived news. Emphasize the uncertainty that existed at the time and what information was and wasn't available.`,
-    'live_news_techcrunch': `This is based on CURRENT NEWS. Frame it as a live scenario where the reader could actually influence the outcome. Connect it to broader industry trends.`,
-    'live_news_hackernews': `This is based on CURRENT TECH NEWS. The situation may still be unfolding. Consider what competitors might be thinking.`,
-    'live_news_producthunt': `This is about a NEW PRODUCT LAUNCH. Focus on go-to-market decisions, positioning, and early-stage product strategy.`,
-    'company_blog': `This is from OFFICIAL COMPANY SOURCES. Find the interesting tension beneath the polished PR narrative. Consider what's NOT being said.`,
-    'company_sec_filing': `This is from SEC FILINGS. Look for strategic decisions revealed in the financial data and risk factors.`,
-    'framework_classic': `This is a CLASSIC PM FRAMEWORK case. Make it feel fresh by adding modern context while teaching the framework through application.`,
-  };
-
   const userPrompt = `Transform the following raw content into an engaging PM case study.
 
 SOURCE TYPE: ${sourceType}
@@ -57,8 +33,6 @@ RAW CONTENT:
 ${rawContent.content}
 ---
 
-${sourceTypePromptAdditions[sourceType] || ''}
-
 Generate a case study with the following structure. Respond ONLY with valid JSON, no markdown:
 
 {
@@ -77,7 +51,7 @@ Generate a case study with the following structure. Respond ONLY with valid JSON
   const startTime = Date.now();
 
   try {
-    const response = await groq.chat.completions.create({
+    const response = await getLlmProvider().createChatCompletion({
       model: MODEL_CONFIG.model,
       max_tokens: MODEL_CONFIG.maxTokens,
       messages: [
@@ -96,7 +70,11 @@ Generate a case study with the following structure. Respond ONLY with valid JSON
 
     const duration = Date.now() - startTime;
     const tokensUsed = (response.usage?.prompt_tokens || 0) + (response.usage?.completion_tokens || 0);
-    const costUsd = calculateCost(response.usage);
+    const costUsd = calculateCost(
+      MODEL_CONFIG.model,
+      response.usage?.prompt_tokens || 0,
+      response.usage?.completion_tokens || 0
+    );
 
     // Parse the response
     const content = response.choices[0]?.message?.content;
@@ -113,7 +91,7 @@ Generate a case study with the following structure. Respond ONLY with valid JSON
     return caseStudy;
 
   } catch (error) {
-    console.error('Groq API error:', error.message);
+    console.error(`${getLlmProvider().name} API error:`, error.message);
     throw error;
   }
 }
@@ -136,21 +114,11 @@ function parseJsonResponse(content) {
   }
 }
 
-/**
- * Calculate cost based on token usage
- */
-function calculateCost(usage) {
-  if (!usage) return 0;
-  const inputCost = (usage.prompt_tokens || 0) * MODEL_CONFIG.pricing.input / 1000;
-  const outputCost = (usage.completion_tokens || 0) * MODEL_CONFIG.pricing.output / 1000;
-  return inputCost + outputCost;
-}
-
 /**
  * Simple completion for utility tasks
  */
 export async function simpleCompletion(prompt, maxTokens = 500) {
-  const response = await groq.chat.completions.create({
+  const response = await getLlmProvider().createChatCompletion({
     model: MODEL_CONFIG.model,
     max_tokens: maxTokens,
     messages: [
@@ -187,48 +155,18 @@ Respond with ONLY the comma-separated keywords, nothing else.`;
 }
 
 /**
- * Validate case study quality
+ * Validate case study quality against the current template schema
+ * @param {Object} caseStudy - The generated case
+ * @returns {{isValid: boolean, errors: string[]}}
  */
 export function validateCaseStudy(caseStudy) {
-  const errors = [];
-
-  if (!caseStudy.title || caseStudy.title.length < 10) {
-    errors.push('Title is too short or missing');
-  }
-
-  if (!caseStudy.hook || caseStudy.hook.length < 20) {
-    errors.push('Hook is too short or missing');
-  }
-
-  if (!caseStudy.story_content || caseStudy.story_content.length < 500) {
-    errors.push('Story content is too short (min 500 chars)');
-  }
-
-  if (caseStudy.story_content && caseStudy.story_content.length > 5000) {
-    errors.push('Story content is too long (max 5000 chars)');
-  }
-
-  if (!caseStudy.challenge_prompt || caseStudy.challenge_prompt.length < 50) {
-    errors.push('Challenge prompt is too short (min 50 chars)');
-  }
-
-  // Check for bullet points in story (we don't want them)
-  if (caseStudy.story_content && /^[\s]*[-•*]\s/m.test(caseStudy.story_content)) {
-    errors.push('Story content contains bullet points');
-  }
-
-  if (!caseStudy.difficulty || !['beginner', 'intermediate', 'advanced'].includes(caseStudy.difficulty)) {
-    errors.push('Invalid or missing difficulty level');
-  }
-
-  if (!Array.isArray(caseStudy.frameworks_applicable) || caseStudy.frameworks_applicable.length === 0) {
-    errors.push('Missing frameworks_applicable array');
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-  };
+  return validateAgainstSchema(normalizeCaseStudy(caseStudy));
 }
 
-export default groq;
\ No newline at end of file
+export default {
+  MODEL_CONFIG,
+  generateCaseStudy,
+  simpleCompletion,
+  generateTextFeatures,
+  validateCaseStudy,
+};
@@ -0,0 +1,212 @@
+/**
+ * Source Grounding
+ *
+ * Extracts checkable claims (figures, dates, names) from a case's
+ * what_happened section and looks for each in the fetched raw content.
+ * Claims the source doesn't contain are flagged on the case; with the
+ * grounding_policy config set to block, too many of them keep the case
+ * from being scheduled.
+ */
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december',
+];
+
+const SCALES = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, trillion: 1e12,
+};
+
+// Figures: optional currency, digits, optional scale or percent
+const FIGURE_PATTERN = /([$€£]\s?)?(\d[\d,]*(?:\.\d+)?)(\s?(?:%|percent\b|thousand\b|million\b|billion\b|trillion\b|bn\b|mn\b|[kmbt]\b))?/gi;
+
+// Month (optionally with day) followed by a year, quarters, or a bare year
+const DATE_PATTERN = /\b(?:(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+(?:\d{1,2},?\s+)?((?:19|20)\d{2})|(q[1-4])\s+((?:19|20)\d{2})|((?:19|20)\d{2}))\b/gi;
+
+// Runs of capitalized words, e.g. "Reed Hastings", "Prime Video", "Netflix"
+const NAME_PATTERN = /\b[A-Z][a-zA-Z0-9&'-]+(?:\s+(?:of|de|&)?\s*[A-Z][a-zA-Z0-9&'-]+)*/g;
+
+// Capitalized words that aren't names
+const NAME_STOPWORDS = new Set([
+  'the', 'a', 'an', 'this', 'that', 'these', 'those', 'it', 'its', 'in', 'on', 'at', 'by',
+  'for', 'but', 'and', 'or', 'as', 'if', 'when', 'while', 'after', 'before', 'with', 'from',
+  'to', 'of', 'we', 'they', 'he', 'she', 'i', 'you', 'their', 'his', 'her', 'our', 'ceo',
+  'cto', 'cfo', 'pm', 'ai', 'us', 'uk', 'eu', 'meanwhile', 'however', 'instead', 'today',
+  'what', 'why', 'how', 'who', 'then', 'now', 'still', 'yet', 'so', 'within', 'over',
+  ...MONTHS,
+]);
+
+// Small bare numbers ("3 options", "two teams") are too common to check
+const MIN_BARE_FIGURE = 10;
+
+// Relative tolerance when comparing figures with different scales
+const FIGURE_TOLERANCE = 0.01;
+
+/**
+ * A claim found in the case
+ * @typedef {Object} GroundingClaim
+ * @property {string} text - The claim as written in the case
+ * @property {'figure'|'date'|'name'} type - Claim type
+ * @property {boolean} supported - Whether the source contains it
+ */
+
+/**
+ * Grounding report stored on the case
+ * @typedef {Object} GroundingReport
+ * @property {GroundingClaim[]} claims - Every claim checked
+ * @property {number} checked - Number of claims
+ * @property {string[]} unsupported - Text of unsupported claims
+ * @property {number} unsupportedRatio - unsupported / checked (0 when nothing was checked)
+ * @property {boolean} blocked - Whether the policy blocks publication
+ * @property {string|null} reason - Why it was blocked
+ */
+
+/**
+ * Extract checkable claims from text
+ * @param {string} text - Usually what_happened
+ * @returns {{text: string, type: string, value: *}[]}
+ */
+export function extractClaims(text) {
+  if (!text) return [];
+
+  const claims = [];
+  const seen = new Set();
+  const add = (claim) => {
+    const key = `${claim.type}:${claim.text.toLowerCase()}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      claims.push(claim);
+    }
+  };
+
+  const dateSpans = [];
+  for (const match of text.matchAll(DATE_PATTERN)) {
+    const [full, month, monthYear, quarter, quarterYear, year] = match;
+    dateSpans.push([match.index, match.index + full.length]);
+    add({
+      text: full,
+      type: 'date',
+      value: {
+        year: monthYear || quarterYear || year,
+        month: month ? MONTHS.find(m => m.startsWith(month.toLowerCase().substring(0, 3))) : null,
+        quarter: quarter ? quarter.toUpperCase() : null,
+      },
+    });
+  }
+
+  const inDate = (index) => dateSpans.some(([start, end]) => index >= start && index < end);
+
+  for (const figure of findFigures(text)) {
+    if (!inDate(figure.index)) add(figure);
+  }
+
+  for (const match of text.matchAll(NAME_PATTERN)) {
+    if (inDate(match.index)) continue;
+
+    const name = match[0];
+    const words = name.split(/\s+/)
+      .map(w => w.replace(/['’]s$/, ''))
+      .filter(w => !NAME_STOPWORDS.has(w.toLowerCase()));
+    if (words.length === 0) continue;
+
+    // A lone capitalized word at the start of a sentence is usually not a name
+    const sentenceStart = match.index === 0 || /[.!?:]\s*$/.test(text.substring(0, match.index));
+    if (sentenceStart && name.split(/\s+/).length === 1) continue;
+
+    add({ text: words.join(' '), type: 'name', value: words.join(' ') });
+  }
+
+  return claims;
+}
+
+/**
+ * Check a case's claims against its source
+ * @param {Object} caseStudy - The generated case
+ * @param {Object} rawContent - The fetched raw content ({ content, title })
+ * @param {Object} policy - grounding_policy config ({ min_claims, max_unsupported_ratio, on_exceed })
+ * @returns {GroundingReport}
+ */
+export function checkGrounding(caseStudy, rawContent, policy = {}) {
+  const source = `${rawContent?.title || ''}\n${rawContent?.content || ''}`;
+  const sourceLower = source.toLowerCase();
+  const sourceFigures = findFigures(source).map(f => f.value);
+
+  const claims = extractClaims(caseStudy.what_happened).map(claim => ({
+    text: claim.text,
+    type: claim.type,
+    supported: isSupported(claim, sourceLower, sourceFigures),
+  }));
+
+  const unsupported = claims.filter(c => !c.supported).map(c => c.text);
+  const unsupportedRatio = claims.length > 0 ? unsupported.length / claims.length : 0;
+
+  const { min_claims: minClaims = 3, max_unsupported_ratio: maxRatio = 0.3, on_exceed: onExceed = 'flag' } = policy;
+  const exceeded = claims.length >= minClaims && unsupportedRatio > maxRatio;
+
+  return {
+    claims,
+    checked: claims.length,
+    unsupported,
+    unsupportedRatio,
+    blocked: exceeded && onExceed === 'block',
+    reason: exceeded
+      ? `${unsupported.length}/${claims.length} claims in what_happened not found in source (max ${Math.round(maxRatio * 100)}%)`
+      : null,
+  };
+}
+
+/**
+ * Find figures in text with their numeric value
+ * @param {string} text - Text to scan
+ * @returns {{text: string, type: string, value: {number: number, percent: boolean}, index: number}[]}
+ */
+function findFigures(text) {
+  const figures = [];
+
+  for (const match of text.matchAll(FIGURE_PATTERN)) {
+    const [full, currency, digits, suffix] = match;
+    const unit = (suffix || '').trim().toLowerCase();
+    const percent = unit === '%' || unit === 'percent';
+    const number = parseFloat(digits.replace(/,/g, '')) * (SCALES[unit] || 1);
+
+    // Skip bare small integers and anything glued to letters (e.g. "B2B", "Web3")
+    if (!currency && !unit && !digits.includes('.') && number < MIN_BARE_FIGURE) continue;
+    if (/[a-z]/i.test(text[match.index - 1] || '')) continue;
+
+    figures.push({ text: full.trim(), type: 'figure', value: { number, percent }, index: match.index });
+  }
+
+  return figures;
+}
+
+function isSupported(claim, sourceLower, sourceFigures) {
+  if (sourceLower.includes(claim.text.toLowerCase())) return true;
+
+  switch (claim.type) {
+    case 'figure':
+      return sourceFigures.some(f =>
+        f.percent === claim.value.percent &&
+        Math.abs(f.number - claim.value.number) <= Math.abs(claim.value.number) * FIGURE_TOLERANCE
+      );
+    case 'date': {
+      const { year, month, quarter } = claim.value;
+      if (!sourceLower.includes(year)) return false;
+      if (month && !sourceLower.includes(month.substring(0, 3))) return false;
+      if (quarter && !sourceLower.includes(quarter.toLowerCase())) return false;
+      return true;
+    }
+    case 'name':
+      // Every word present covers reordering and possessives ("Netflix's")
+      return claim.value.split(/\s+/).every(word => sourceLower.includes(word.toLowerCase()));
+    default:
+      return false;
+  }
+}
+
+export default {
+  extractClaims,
+  checkGrounding,
+};
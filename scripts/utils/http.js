@@ -0,0 +1,45 @@
+/**
+ * HTTP Utility
+ *
+ * fetch() wrapper for source fetchers: enforces a timeout (native fetch
+ * ignores a `timeout` option), turns non-2xx responses into classified
+ * errors, and retries transient failures.
+ */
+
+import { GenerationError, withRetry } from './errors.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Fetch a URL with timeout, status checking and retries
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - fetch options plus:
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} options.retries - Retries after the first attempt
+ * @returns {Promise<Response>} A successful response
+ */
+export async function httpFetch(url, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, retries = 2, ...fetchOptions } = options;
+
+  return withRetry(async () => {
+    const response = await fetch(url, {
+      ...fetchOptions,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = new GenerationError(`HTTP ${response.status} from ${url}`, {
+        status: response.status,
+      });
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  }, {
+    maxAttempts: retries + 1,
+    label: `GET ${new URL(url).hostname}`,
+  });
+}
+
+export default httpFetch;
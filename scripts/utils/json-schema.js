@@ -0,0 +1,106 @@
+/**
+ * JSON Schema Validator
+ *
+ * Validates values against the subset of JSON Schema used by the case
+ * study and configuration schemas: type, enum, required, properties,
+ * additionalProperties, items, minItems/maxItems, minLength/maxLength,
+ * pattern and minimum/maximum. Errors read "path: problem".
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - The value to check
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} rootLabel - Label for errors at the root, e.g. 'case'
+ * @returns {string[]} Errors, empty when valid
+ */
+export function validateSchema(value, schema, rootLabel = 'value') {
+  const errors = [];
+  validateNode(value, schema, '', rootLabel, errors);
+  return errors;
+}
+
+function validateNode(value, schema, path, rootLabel, errors) {
+  const label = path || rootLabel;
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${label}: expected ${[].concat(schema.type).join(' or ')}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: ${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${label}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${label}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: has ${value.length} items, needs at least ${schema.minItems}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${label}: has ${value.length} items, allows at most ${schema.maxItems}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, rootLabel, errors));
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+      }
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const propSchema = schema.properties?.[key];
+
+      if (propSchema) {
+        if (propValue !== undefined) validateNode(propValue, propSchema, childPath, rootLabel, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: is not a known field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(propValue, schema.additionalProperties, childPath, rootLabel, errors);
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === t;
+    }
+  });
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+export default {
+  validateSchema,
+};
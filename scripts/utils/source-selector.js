@@ -0,0 +1,229 @@
+/**
+ * Source Selector
+ *
+ * Buffer-aware source selection. Looks at the pool of cases that are
+ * unscheduled or scheduled within the buffer horizon and picks the source
+ * with the largest shortfall against its weighted share, so a source that
+ * failed for a week gets caught up. The day-of-week rotation is only used
+ * when the pool can't be read or is already balanced.
+ */
+
+import { supabase } from './supabase-client.js';
+import { getBufferTargetDays } from '../config/config-loader.js';
+import { getSource, getEnabledSources, getSourceForDay } from '../sources/registry.js';
+import { QUESTION_TYPES, SENIORITY_LEVELS, canonicalQuestionType } from './case-schema.js';
+
+// Desired difficulty mix across the buffer
+const DIFFICULTY_MIX = {
+  beginner: 0.3,
+  intermediate: 0.5,
+  advanced: 0.2,
+};
+
+/**
+ * Pool mix summary
+ * @typedef {Object} PoolMix
+ * @property {number} horizonDays - Buffer horizon the mix was computed for
+ * @property {number} total - Number of cases in the pool
+ * @property {Object<string, number>} bySource - Case count per source type
+ * @property {Object<string, number>} byQuestionType - Case count per canonical question type
+ * @property {Object<string, number>} byDifficulty - Case count per difficulty
+ * @property {Object<string, number>} bySeniority - Case count per seniority level
+ */
+
+/**
+ * Selection result
+ * @typedef {Object} SourceSelection
+ * @property {Object} source - The registered source definition
+ * @property {string} strategy - 'forced' | 'buffer_deficit' | 'day_of_week'
+ * @property {string} reason - Human-readable explanation (stored in generation_logs)
+ * @property {Object} targets - Preferred question type / difficulty / seniority level for the case
+ */
+
+/**
+ * Load the current pool mix from the database
+ * @returns {Promise<PoolMix|null>} The mix, or null if the pool can't be read
+ */
+export async function getPoolMix() {
+  const horizonDays = await getBufferTargetDays();
+  const today = new Date();
+  const horizonEnd = new Date(today);
+  horizonEnd.setDate(horizonEnd.getDate() + horizonDays - 1);
+  const [from, to] = [today, horizonEnd].map(d => d.toISOString().split('T')[0]);
+
+  // Cases scheduled past the horizon don't fill it, so they don't count
+  const { data, error } = await supabase
+    .from('case_studies')
+    .select('source_type, question_type, difficulty, seniority_level')
+    .is('deleted_at', null)
+    .or(`scheduled_date.is.null,and(scheduled_date.gte.${from},scheduled_date.lte.${to})`);
+
+  if (error) {
+    console.warn(`⚠️ Could not read case pool: ${error.message}`);
+    return null;
+  }
+
+  const mix = {
+    horizonDays,
+    total: 0,
+    bySource: {},
+    byQuestionType: {},
+    byDifficulty: {},
+    bySeniority: {},
+  };
+
+  for (const row of data || []) {
+    recordCase(mix, row);
+  }
+
+  return mix;
+}
+
+/**
+ * Add a case to a pool mix
+ * @param {PoolMix} mix - The mix to update in place
+ * @param {Object} row - Case fields (source_type, question_type, difficulty, seniority_level)
+ */
+function recordCase(mix, row) {
+  mix.total++;
+  increment(mix.bySource, row.source_type);
+
+  const questionType = canonicalQuestionType(row.question_type);
+  if (questionType) increment(mix.byQuestionType, questionType);
+
+  if (row.difficulty) increment(mix.byDifficulty, row.difficulty);
+  if (row.seniority_level != null) increment(mix.bySeniority, String(row.seniority_level));
+}
+
+function increment(counts, key) {
+  if (!key) return;
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Choose a source for one case given a pool mix
+ * @param {PoolMix|null} mix - Current pool mix (null falls back to rotation)
+ * @param {number} dayOfWeek - Day of week used for the fallback
+ * @returns {SourceSelection|null}
+ */
+export function chooseSource(mix, dayOfWeek = new Date().getDay()) {
+  const sources = getEnabledSources();
+  const daySource = getSourceForDay(dayOfWeek);
+
+  if (!mix) {
+    return daySource && {
+      source: daySource,
+      strategy: 'day_of_week',
+      reason: `Pool unavailable; day-of-week rotation (day ${dayOfWeek})`,
+      targets: {},
+    };
+  }
+
+  const totalWeight = sources.reduce((sum, s) => sum + s.weight, 0);
+
+  const ranked = sources
+    .map(source => {
+      const target = mix.horizonDays * source.weight / totalWeight;
+      const have = mix.bySource[source.type] || 0;
+      return { source, target, have, shortfall: target - have };
+    })
+    .sort((a, b) =>
+      b.shortfall - a.shortfall ||
+      (b.source === daySource) - (a.source === daySource) ||
+      b.source.weight - a.source.weight
+    );
+
+  const best = ranked[0];
+  const targets = chooseTargets(mix);
+
+  if (!best || best.shortfall <= 0) {
+    return daySource && {
+      source: daySource,
+      strategy: 'day_of_week',
+      reason: `Pool balanced for ${mix.horizonDays} days (${mix.total} cases); day-of-week rotation (day ${dayOfWeek})`,
+      targets,
+    };
+  }
+
+  return {
+    source: best.source,
+    strategy: 'buffer_deficit',
+    reason: `Largest shortfall: ${best.source.type} has ${best.have}/${best.target.toFixed(1)} cases in ${mix.horizonDays}-day pool (${mix.total} total)`,
+    targets,
+  };
+}
+
+/**
+ * Pick the least represented question type, difficulty and seniority level
+ * @param {PoolMix} mix - Current pool mix
+ * @returns {{questionType: string, difficulty: string, seniorityLevel: number}}
+ */
+function chooseTargets(mix) {
+  const questionType = [...QUESTION_TYPES]
+    .sort((a, b) => (mix.byQuestionType[a] || 0) - (mix.byQuestionType[b] || 0))[0];
+
+  const difficulty = Object.entries(DIFFICULTY_MIX)
+    .map(([level, share]) => ({
+      level,
+      shortfall: share * Math.max(mix.total, 1) - (mix.byDifficulty[level] || 0),
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall)[0].level;
+
+  const seniorityLevel = [...SENIORITY_LEVELS]
+    .sort((a, b) => (mix.bySeniority[a] || 0) - (mix.bySeniority[b] || 0))[0];
+
+  return { questionType, difficulty, seniorityLevel };
+}
+
+/**
+ * Plan the sources for a multi-case run
+ * Each pick is counted into the mix before the next one so a single run
+ * doesn't pile every case onto the same source.
+ * @param {number} count - Number of cases to plan
+ * @param {Object} options - Options
+ * @param {string} options.forceSourceType - Use this source for every case
+ * @returns {Promise<SourceSelection[]>}
+ */
+export async function planSources(count, options = {}) {
+  const { forceSourceType } = options;
+  const dayOfWeek = new Date().getDay();
+
+  if (forceSourceType) {
+    const source = getSource(forceSourceType);
+    return Array.from({ length: count }, () => ({
+      source,
+      strategy: 'forced',
+      reason: `Forced via --source=${forceSourceType}`,
+      targets: {},
+    }));
+  }
+
+  const mix = await getPoolMix();
+  const plan = [];
+
+  for (let i = 0; i < count; i++) {
+    const selection = chooseSource(mix, dayOfWeek);
+    if (!selection) {
+      throw new Error(`No enabled source available for day ${dayOfWeek}`);
+    }
+
+    plan.push(selection);
+
+    if (mix) {
+      recordCase(mix, {
+        source_type: selection.source.type,
+        question_type: selection.targets.questionType,
+        difficulty: selection.targets.difficulty,
+        seniority_level: selection.targets.seniorityLevel,
+      });
+    }
+  }
+
+  return plan;
+}
+
+export default {
+  getPoolMix,
+  chooseSource,
+  planSources,
+};
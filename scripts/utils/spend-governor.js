@@ -0,0 +1,206 @@
+/**
+ * LLM Spend Governor
+ *
+ * Checks the llm_spend_ledger against the daily/monthly caps in
+ * configurations (llm_spend_caps) before each LLM call. If the call
+ * could push spend over a cap it is downgraded to a cheaper model or
+ * refused. Every call is recorded in the ledger afterwards.
+ */
+
+import { supabase } from './supabase-client.js';
+import { getLlmSpendCaps } from '../config/config-loader.js';
+import { ErrorClasses, GenerationError } from './errors.js';
+import { getModelPricing, calculateCost } from '../llm/model-catalog.js';
+
+// Pricing lives in the model catalog; re-exported for existing callers
+export { getModelPricing, calculateCost };
+
+// Rough prompt size estimate when the real count isn't known yet
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Budget decision for one call
+ * @typedef {Object} BudgetDecision
+ * @property {string} model - Model to call
+ * @property {string|null} requestedModel - Original model, when downgraded
+ * @property {string|null} reason - Which cap triggered the downgrade
+ */
+
+/**
+ * Worst-case estimate for a chat call: the whole prompt plus max_tokens of output
+ * @param {Object[]} messages - Chat messages
+ * @param {number} maxTokens - max_tokens for the call
+ * @returns {{promptTokens: number, completionTokens: number}}
+ */
+function estimateCall(messages, maxTokens) {
+  const chars = messages.reduce((sum, m) => sum + (m.content?.length || 0), 0);
+  return {
+    promptTokens: Math.ceil(chars / CHARS_PER_TOKEN),
+    completionTokens: maxTokens || 0,
+  };
+}
+
+/**
+ * Load spend for the current UTC day and month
+ * @returns {Promise<{day: Object, month: Object}|null>} null if the ledger can't be read
+ */
+export async function getCurrentSpend() {
+  const now = new Date();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const [day, month] = await Promise.all([
+    supabase.rpc('get_llm_spend', { p_since: dayStart.toISOString() }),
+    supabase.rpc('get_llm_spend', { p_since: monthStart.toISOString() }),
+  ]);
+
+  if (day.error || month.error) {
+    console.warn(`⚠️ Could not read LLM spend ledger: ${(day.error || month.error).message}`);
+    return null;
+  }
+
+  const toTotals = (rows) => ({
+    calls: rows?.[0]?.calls || 0,
+    tokens: Number(rows?.[0]?.total_tokens || 0),
+    usd: Number(rows?.[0]?.cost_usd || 0),
+  });
+
+  return { day: toTotals(day.data), month: toTotals(month.data) };
+}
+
+/**
+ * Find the first cap a call would exceed
+ * @param {Object} spend - Current spend ({ day, month })
+ * @param {Object} caps - llm_spend_caps config
+ * @param {number} tokens - Estimated tokens for the call
+ * @param {number} usd - Estimated cost of the call
+ * @returns {string|null} Description of the exceeded cap
+ */
+function findExceededCap(spend, caps, tokens, usd) {
+  const checks = [
+    ['daily token', spend.day.tokens + tokens, caps.daily_tokens],
+    ['daily $', spend.day.usd + usd, caps.daily_usd],
+    ['monthly token', spend.month.tokens + tokens, caps.monthly_tokens],
+    ['monthly $', spend.month.usd + usd, caps.monthly_usd],
+  ];
+
+  for (const [name, projected, cap] of checks) {
+    if (cap != null && projected > cap) {
+      const format = (n) => (name.endsWith('$') ? `$${n.toFixed(4)}` : Math.round(n).toLocaleString());
+      return `${name} cap of ${format(cap)} (would reach ${format(projected)})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether an LLM call may run, and on which model
+ * Throws a budget_exceeded GenerationError if no allowed model fits.
+ * @param {Object} call - The planned call
+ * @param {string} call.model - Requested model
+ * @param {Object[]} call.messages - Chat messages
+ * @param {number} call.maxTokens - max_tokens for the call
+ * @param {import('../llm/providers.js').LlmProvider} call.provider - Provider serving the call (defaults to the active one)
+ * @returns {Promise<BudgetDecision>}
+ */
+export async function checkSpendBudget({ model, messages, maxTokens, provider }) {
+  const caps = await getLlmSpendCaps();
+  const spend = await getCurrentSpend();
+
+  // Fail open: an unreadable ledger shouldn't stop generation
+  if (!spend) {
+    return { model, requestedModel: null, reason: null };
+  }
+
+  const estimate = estimateCall(messages, maxTokens);
+  const tokens = estimate.promptTokens + estimate.completionTokens;
+
+  const exceeded = findExceededCap(
+    spend, caps, tokens,
+    calculateCost(model, estimate.promptTokens, estimate.completionTokens, provider)
+  );
+  if (!exceeded) {
+    return { model, requestedModel: null, reason: null };
+  }
+
+  const fallback = caps.downgrade_model;
+  if (caps.on_cap === 'downgrade' && fallback && fallback !== model) {
+    const fallbackExceeded = findExceededCap(
+      spend, caps, tokens,
+      calculateCost(fallback, estimate.promptTokens, estimate.completionTokens, provider)
+    );
+    if (!fallbackExceeded) {
+      return { model: fallback, requestedModel: model, reason: exceeded };
+    }
+  }
+
+  throw new GenerationError(`LLM spend cap reached: ${exceeded}`, {
+    errorClass: ErrorClasses.BUDGET_EXCEEDED,
+  });
+}
+
+/**
+ * Record a completed call in the spend ledger
+ * @param {Object} entry - Ledger entry
+ * @param {string|null} entry.generationLogId - generation_logs row the call belongs to
+ * @param {string} entry.model - Model that was called
+ * @param {string|null} entry.requestedModel - Original model, when downgraded
+ * @param {string} entry.purpose - What the call was for (e.g. 'transform')
+ * @param {number} entry.promptTokens - Input tokens
+ * @param {number} entry.completionTokens - Output tokens
+ * @param {number} entry.costUsd - Cost in USD
+ */
+export async function recordSpend(entry) {
+  const { error } = await supabase
+    .from('llm_spend_ledger')
+    .insert({
+      generation_log_id: entry.generationLogId || null,
+      model: entry.model,
+      requested_model: entry.requestedModel || null,
+      purpose: entry.purpose || 'transform',
+      prompt_tokens: entry.promptTokens,
+      completion_tokens: entry.completionTokens,
+      total_tokens: entry.promptTokens + entry.completionTokens,
+      cost_usd: entry.costUsd,
+    });
+
+  if (error) console.error('Failed to record LLM spend:', error.message);
+}
+
+/**
+ * Summarize spend against caps for reports
+ * @returns {Promise<Object|null>} { caps, day, month, byModel } or null if unavailable
+ */
+export async function getSpendSummary() {
+  const [caps, spend] = await Promise.all([getLlmSpendCaps(), getCurrentSpend()]);
+  if (!spend) return null;
+
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const { data: rows } = await supabase
+    .from('llm_spend_ledger')
+    .select('model, requested_model, total_tokens, cost_usd')
+    .gte('created_at', monthStart.toISOString());
+
+  const byModel = {};
+  for (const row of rows || []) {
+    const entry = byModel[row.model] || (byModel[row.model] = { calls: 0, tokens: 0, usd: 0, downgraded: 0 });
+    entry.calls++;
+    entry.tokens += row.total_tokens || 0;
+    entry.usd += Number(row.cost_usd || 0);
+    if (row.requested_model) entry.downgraded++;
+  }
+
+  return { caps, ...spend, byModel };
+}
+
+export default {
+  getModelPricing,
+  calculateCost,
+  getCurrentSpend,
+  checkSpendBudget,
+  recordSpend,
+  getSpendSummary,
+};
@@ -0,0 +1,123 @@
+/**
+ * Variant Judge
+ *
+ * Builds the judge prompt used to compare best-of-N case variants
+ * against the prompt_evaluation_criteria section, and turns the judge's
+ * JSON reply into per-variant scores and a winner.
+ */
+
+// Dimensions every variant is scored on (1-10)
+export const JUDGE_DIMENSIONS = [
+  'source_fidelity',     // Claims are supported by the source material
+  'interview_realism',   // Reads like a real PM interview question and answer
+  'structure',           // Follows the template: 7 parts, pushbacks, mistakes, practice
+  'criteria_fit',        // Meets the evaluation criteria section
+];
+
+// Source excerpt length shown to the judge
+const SOURCE_EXCERPT_CHARS = 4000;
+
+const JUDGE_SYSTEM_PROMPT = `You are a senior PM interviewer reviewing candidate case studies for a daily PM interview practice product.
+
+You will receive the source material and several JSON variants of the same case. Score each variant from 1 to 10 on:
+- source_fidelity: facts in what_happened are supported by the source
+- interview_realism: the question and answer approach feel like a real PM interview
+- structure: complete template (7 answer_approach parts, 2-3 pushback scenarios, 6-8 evaluation points, 5-6 common mistakes, practice question)
+- criteria_fit: how well the case satisfies the evaluation criteria given below
+Then give an overall score from 1 to 10 and a one-sentence rationale.
+
+Respond ONLY with JSON:
+{"scores": [{"variant": 1, "source_fidelity": 0, "interview_realism": 0, "structure": 0, "criteria_fit": 0, "overall": 0, "rationale": ""}]}`;
+
+/**
+ * Variant score
+ * @typedef {Object} VariantScore
+ * @property {number} variant - 1-based variant number
+ * @property {number} overall - Overall score (1-10)
+ * @property {string} rationale - Judge's one-line reason
+ * @property {Object<string, number>} dimensions - Score per JUDGE_DIMENSIONS entry
+ */
+
+/**
+ * Build the judge chat messages
+ * @param {Object[]} variants - Case study variants (with _meta)
+ * @param {Object} rawContent - The source the variants were generated from
+ * @param {string} criteria - Content of the prompt_evaluation_criteria section
+ * @returns {Object[]} Chat messages
+ */
+export function buildJudgeMessages(variants, rawContent, criteria) {
+  const variantBlocks = variants.map((variant, i) => {
+    const { _meta, ...caseData } = variant;
+    return `### VARIANT ${i + 1}\n${JSON.stringify(caseData)}`;
+  });
+
+  const userPrompt = `EVALUATION CRITERIA:
+---
+${criteria || 'No additional criteria.'}
+---
+
+SOURCE (${rawContent.sourceUrl || 'no URL'}):
+---
+${(rawContent.content || '').substring(0, SOURCE_EXCERPT_CHARS)}
+---
+
+${variantBlocks.join('\n\n')}
+
+Score all ${variants.length} variants.`;
+
+  return [
+    { role: 'system', content: JUDGE_SYSTEM_PROMPT },
+    { role: 'user', content: userPrompt },
+  ];
+}
+
+/**
+ * Parse the judge reply into scores and pick the winner
+ * Ties go to the earlier variant. Variants the judge skipped score 0.
+ * @param {string} content - Judge response text
+ * @param {number} count - Number of variants judged
+ * @returns {{scores: VariantScore[], winnerIndex: number}}
+ */
+export function parseJudgement(content, count) {
+  const jsonMatch = content?.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in judge response');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const byVariant = new Map((parsed.scores || []).map(s => [Number(s.variant), s]));
+
+  const scores = Array.from({ length: count }, (_, i) => {
+    const raw = byVariant.get(i + 1) || {};
+    const dimensions = Object.fromEntries(
+      JUDGE_DIMENSIONS.map(d => [d, toScore(raw[d])])
+    );
+    const dimensionValues = Object.values(dimensions);
+
+    return {
+      variant: i + 1,
+      // Fall back to the dimension average if the judge left overall out
+      overall: toScore(raw.overall) || dimensionValues.reduce((a, b) => a + b, 0) / dimensionValues.length,
+      rationale: raw.rationale || '',
+      dimensions,
+    };
+  });
+
+  const winnerIndex = scores.reduce(
+    (best, score, i) => (score.overall > scores[best].overall ? i : best),
+    0
+  );
+
+  return { scores, winnerIndex };
+}
+
+function toScore(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(10, n)) : 0;
+}
+
+export default {
+  JUDGE_DIMENSIONS,
+  buildJudgeMessages,
+  parseJudgement,
+};
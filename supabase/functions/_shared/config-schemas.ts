@@ -0,0 +1,79 @@
+/**
+ * Config Schemas (shared by update-config, rollback-config and get-config)
+ *
+ * The declared shape of every config_value: types, ranges, enums and
+ * required fields, as JSON Schema. The schemas, the validator and the
+ * template checker are generated from scripts/ by
+ * `npm run config:sync-edge` (config-schemas.json, json-schema.js,
+ * prompt-template.js), so they match what config-updater.js enforces.
+ */
+
+import generated from './config-schemas.json' with { type: 'json' }
+import { validateSchema } from './json-schema.js'
+import { validateTemplate } from './prompt-template.js'
+
+export type Schema = { [field: string]: unknown }
+
+type JsonObject = Record<string, unknown>
+
+const PROMPT_SECTION_SCHEMA: Schema = generated.prompt_section_schema
+
+export const CONFIG_SCHEMAS: Record<string, Schema> = generated.schemas
+
+/**
+ * Get the schema for a config key
+ * Keys without a declared schema that start with "prompt_" (e.g. clones
+ * of a section) use the prompt section schema.
+ */
+export function getConfigSchema(key: string): Schema | null {
+  return CONFIG_SCHEMAS[key] ?? (key.startsWith('prompt_') ? PROMPT_SECTION_SCHEMA : null)
+}
+
+/**
+ * Validate a config value against its key's schema, plus template
+ * syntax for prompt sections and experiment variant sections
+ * Errors read "key.path: problem"
+ */
+export function validateConfigValue(key: string, value: unknown): string[] {
+  const schema = getConfigSchema(key)
+  if (!schema) return []
+
+  // The validator labels paths from the value's root; errors on the root itself start with the key
+  const errors: string[] = validateSchema(value, schema, key)
+    .map((e: string) => (e.startsWith(`${key}:`) ? e : `${key}.${e}`))
+  if (errors.length > 0) return errors
+
+  if (isPromptSection(schema) && isObject(value) && typeof value.content === 'string') {
+    errors.push(...templateErrors(value.content, `${key}.content`))
+  }
+
+  // Variant sections replace prompt sections, so they are templates too
+  if (key === 'prompt_experiments' && isObject(value)) {
+    for (const [name, experiment] of Object.entries(value)) {
+      const variants = isObject(experiment) && isObject(experiment.variants) ? experiment.variants : {}
+      for (const [variant, definition] of Object.entries(variants)) {
+        const sections = isObject(definition) && isObject(definition.sections) ? definition.sections : {}
+        for (const [section, content] of Object.entries(sections)) {
+          if (typeof content !== 'string') continue
+          errors.push(...templateErrors(content, `${key}.${name}.variants.${variant}.sections.${section}`))
+        }
+      }
+    }
+  }
+
+  return errors
+}
+
+function templateErrors(content: string, path: string): string[] {
+  const { errors }: { errors: string[] } = validateTemplate(content)
+  return errors.map(e => `${path}: ${e}`)
+}
+
+function isPromptSection(schema: Schema): boolean {
+  return isObject(schema.properties) && isObject(schema.properties.content) &&
+    schema.properties.content.format === 'prompt_template'
+}
+
+function isObject(value: unknown): value is JsonObject {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
\ No newline at end of file
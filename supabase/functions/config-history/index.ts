@@ -0,0 +1,177 @@
+/**
+ * Config History Edge Function
+ *
+ * GET /config-history?key=prompt_mental_models[&limit=20]
+ * GET /config-history?key=prompt_mental_models&from=3[&to=5]
+ *
+ * Lists the recorded versions of a config, newest first, or diffs two
+ * versions. Without `to`, the diff is against the latest version.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+interface ConfigChange {
+  path: string
+  type: 'added' | 'removed' | 'changed'
+  before?: unknown
+  after?: unknown
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Diff two config values (same rules as diffConfigValues in
+ * scripts/config/config-updater.js): objects key by key, arrays and
+ * scalars whole
+ */
+function diffValues(before: unknown, after: unknown, path = ''): ConfigChange[] {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    return keys.flatMap((k) => {
+      const childPath = path ? `${path}.${k}` : k
+      if (!(k in before)) return [{ path: childPath, type: 'added' as const, after: after[k] }]
+      if (!(k in after)) return [{ path: childPath, type: 'removed' as const, before: before[k] }]
+      return diffValues(before[k], after[k], childPath)
+    })
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return []
+  return [{ path, type: 'changed', before, after }]
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ success: false, error: 'Method not allowed' }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 405 }
+    )
+  }
+
+  try {
+    // Create Supabase client with service role (history is not public)
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    const url = new URL(req.url)
+    const configKey = url.searchParams.get('key')
+    const from = url.searchParams.get('from')
+    const to = url.searchParams.get('to')
+    const limit = parseInt(url.searchParams.get('limit') || '') || 50
+
+    if (!configKey) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: 'key is required',
+          usage: {
+            history: 'GET /config-history?key=prompt_mental_models&limit=20',
+            diff: 'GET /config-history?key=prompt_mental_models&from=3&to=5',
+          },
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
+      )
+    }
+
+    // History mode
+    if (!from) {
+      const { data, error } = await supabase
+        .from('config_versions')
+        .select('version, config_value, change_type, change_reason, restored_from_version, changed_by, created_at')
+        .eq('config_key', configKey)
+        .order('version', { ascending: false })
+        .limit(limit)
+
+      if (error) {
+        return new Response(
+          JSON.stringify({ success: false, error: error.message }),
+          { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 500 }
+        )
+      }
+
+      if (data.length === 0) {
+        return new Response(
+          JSON.stringify({ success: false, error: `No history for config "${configKey}"` }),
+          { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 404 }
+        )
+      }
+
+      return new Response(
+        JSON.stringify({ success: true, key: configKey, data, count: data.length }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
+      )
+    }
+
+    // Diff mode
+    const fromVersion = parseInt(from)
+    const toVersion = to ? parseInt(to) : null
+
+    if (isNaN(fromVersion) || (to && isNaN(toVersion!))) {
+      return new Response(
+        JSON.stringify({ success: false, error: 'from and to must be version numbers' }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
+      )
+    }
+
+    let toQuery = supabase
+      .from('config_versions')
+      .select('version, config_value, changed_by, created_at')
+      .eq('config_key', configKey)
+
+    toQuery = toVersion !== null
+      ? toQuery.eq('version', toVersion)
+      : toQuery.order('version', { ascending: false }).limit(1)
+
+    const [{ data: fromRow }, { data: toRows }] = await Promise.all([
+      supabase
+        .from('config_versions')
+        .select('version, config_value, changed_by, created_at')
+        .eq('config_key', configKey)
+        .eq('version', fromVersion)
+        .maybeSingle(),
+      toQuery,
+    ])
+
+    const toRow = toRows?.[0]
+
+    if (!fromRow || !toRow) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: `Version ${!fromRow ? fromVersion : toVersion} of config "${configKey}" not found`,
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 404 }
+      )
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        key: configKey,
+        from: { version: fromRow.version, changedBy: fromRow.changed_by, createdAt: fromRow.created_at },
+        to: { version: toRow.version, changedBy: toRow.changed_by, createdAt: toRow.created_at },
+        changes: diffValues(fromRow.config_value, toRow.config_value),
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
+    )
+
+  } catch (err) {
+    console.error('Config history error:', err)
+    return new Response(
+      JSON.stringify({ success: false, error: err.message }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 500 }
+    )
+  }
+})
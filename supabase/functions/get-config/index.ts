@@ -5,10 +5,13 @@
  *
  * Retrieves configuration values from the configurations table.
  * Supports fetching single config by key or all configs by type.
+ * Responses include each config's schema (types, ranges, required
+ * fields) so admin UIs can render a form per key.
  * Returns valid config keys on error for guidance.
  */
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { CONFIG_SCHEMAS } from '../_shared/config-schemas.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -18,6 +21,7 @@ const corsHeaders = {
 // Valid config keys for prompt sections
 const VALID_PROMPT_SECTIONS = [
   'prompt_system_intro',
+  'prompt_source_guidance',
   'prompt_output_schema',
   'prompt_question_types',
   'prompt_mental_models',
@@ -37,6 +41,14 @@ const VALID_SYSTEM_CONFIGS = [
   'groq_max_tokens',
   'chart_color_palettes',
   'version_retention_count',
+  'llm_spend_caps',
+  'llm_provider',
+  'grounding_policy',
+  'content_budget',
+  'model_catalog',
+  'generation_params',
+  'model_fallbacks',
+  'prompt_experiments',
 ]
 
 const ALL_VALID_CONFIG_KEYS = [...VALID_PROMPT_SECTIONS, ...VALID_SYSTEM_CONFIGS]
@@ -131,6 +143,7 @@ Deno.serve(async (req) => {
           success: true,
           data,
           value: data.config_value,
+          schema: CONFIG_SCHEMAS[configKey] ?? null,
         }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
       )
@@ -179,6 +192,9 @@ Deno.serve(async (req) => {
           success: true,
           data,
           count: data.length,
+          schemas: Object.fromEntries(
+            data.filter(c => CONFIG_SCHEMAS[c.config_key]).map(c => [c.config_key, CONFIG_SCHEMAS[c.config_key]])
+          ),
         }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
       )
@@ -223,6 +239,7 @@ Deno.serve(async (req) => {
           systemConfigs: VALID_SYSTEM_CONFIGS,
         },
         validConfigTypes: VALID_CONFIG_TYPES,
+        schemas: CONFIG_SCHEMAS,
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
     )
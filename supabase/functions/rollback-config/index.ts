@@ -0,0 +1,161 @@
+/**
+ * Rollback Config Edge Function
+ *
+ * POST /rollback-config
+ *
+ * Restores a config to the value it had at a previous version.
+ * The restore is recorded as a new version, so it can itself be
+ * rolled back. Scripts pick up the restored value once their config
+ * cache expires (5 minutes).
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { validateConfigValue } from '../_shared/config-schemas.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+interface RollbackPayload {
+  configKey: string
+  version: number
+  updatedBy?: string
+  reason?: string
+}
+
+Deno.serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ success: false, error: 'Method not allowed' }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 405 }
+    )
+  }
+
+  try {
+    // Create Supabase client with service role
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    // Parse request body
+    const payload: RollbackPayload = await req.json()
+    const { configKey, version, updatedBy = 'api' } = payload
+    const reason = payload.reason || `Rollback to version ${version}`
+
+    if (!configKey || !Number.isInteger(version)) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: 'configKey and an integer version are required',
+          usage: {
+            configKey: 'string (required)',
+            version: 'number (required) - see GET /config-history?key=...',
+            updatedBy: 'string (optional)',
+            reason: 'string (optional)',
+          },
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
+      )
+    }
+
+    // Fetch the version to restore and the current config
+    const [{ data: target }, { data: currentConfig }] = await Promise.all([
+      supabase
+        .from('config_versions')
+        .select('version, config_value')
+        .eq('config_key', configKey)
+        .eq('version', version)
+        .maybeSingle(),
+      supabase
+        .from('configurations')
+        .select('version')
+        .eq('config_key', configKey)
+        .maybeSingle(),
+    ])
+
+    if (!currentConfig) {
+      return new Response(
+        JSON.stringify({ success: false, error: `Config "${configKey}" not found` }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 404 }
+      )
+    }
+
+    if (!target) {
+      return new Response(
+        JSON.stringify({ success: false, error: `Version ${version} of config "${configKey}" not found` }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 404 }
+      )
+    }
+
+    // The schema may have tightened since the version was written
+    const validationErrors = validateConfigValue(configKey, target.config_value)
+    if (validationErrors.length > 0) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: `Version ${version} of config "${configKey}" no longer matches its schema`,
+          validationErrors,
+        }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
+      )
+    }
+
+    // Apply the old value as a new version
+    const { data: updatedConfig, error: updateError } = await supabase
+      .from('configurations')
+      .update({
+        config_value: target.config_value,
+        version: currentConfig.version + 1,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('config_key', configKey)
+      .select()
+      .single()
+
+    if (updateError) {
+      console.error('Rollback failed:', updateError)
+      return new Response(
+        JSON.stringify({ success: false, error: updateError.message }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 500 }
+      )
+    }
+
+    const { error: historyError } = await supabase.rpc('record_config_version', {
+      p_key: configKey,
+      p_changed_by: updatedBy,
+      p_change_reason: reason,
+      p_change_type: 'rollback',
+      p_restored_from_version: version,
+    })
+
+    if (historyError) {
+      console.error(`Failed to record history for "${configKey}":`, historyError)
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        message: `Config "${configKey}" rolled back to version ${version}`,
+        data: updatedConfig,
+        previousVersion: currentConfig.version,
+        newVersion: updatedConfig.version,
+        restoredFromVersion: version,
+        updatedBy,
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
+    )
+
+  } catch (err) {
+    console.error('Rollback config error:', err)
+    return new Response(
+      JSON.stringify({ success: false, error: err.message }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 500 }
+    )
+  }
+})
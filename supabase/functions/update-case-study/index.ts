@@ -29,7 +29,8 @@ const VALID_FIELDS = {
   // Metadata fields
   metadata: [
     'difficulty', 'question_type', 'seniority_level', 'frameworks_applicable',
-    'tags', 'asked_in_company', 'industry', 'company_name', 'source_type'
+    'tags', 'asked_in_company', 'industry', 'company_name', 'source_type',
+    'publication_blocked', 'blocked_reason'
   ],
   // Visual fields
   visuals: ['charts', 'image_generation_status'],
@@ -37,7 +38,8 @@ const VALID_FIELDS = {
   system: [
     'id', 'created_at', 'updated_at', 'deleted_at', 'deleted_by',
     'delete_reason', 'current_version', 'content_embedding', 'content_hash',
-    'generation_log_id', 'prompt_version_hash', 'config_version_hash'
+    'generation_log_id', 'prompt_version_hash', 'config_version_hash', 'grounding',
+    'llm_provider', 'llm_model', 'prompt_experiments'
   ],
 }
 
@@ -5,10 +5,13 @@
  *
  * Updates configuration values in the configurations table.
  * Supports single config or multiple configs update.
+ * Values are checked against the key's schema (_shared/config-schemas.ts).
+ * Each update is recorded in config_versions (see rollback-config).
  * Optionally propagates changes to all existing case studies.
  */
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { validateConfigValue } from '../_shared/config-schemas.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -18,6 +21,7 @@ const corsHeaders = {
 // Valid config keys for prompt sections
 const VALID_PROMPT_SECTIONS = [
   'prompt_system_intro',
+  'prompt_source_guidance',
   'prompt_output_schema',
   'prompt_question_types',
   'prompt_mental_models',
@@ -37,6 +41,14 @@ const VALID_SYSTEM_CONFIGS = [
   'groq_max_tokens',
   'chart_color_palettes',
   'version_retention_count',
+  'llm_spend_caps',
+  'llm_provider',
+  'grounding_policy',
+  'content_budget',
+  'model_catalog',
+  'generation_params',
+  'model_fallbacks',
+  'prompt_experiments',
 ]
 
 const ALL_VALID_CONFIG_KEYS = [...VALID_PROMPT_SECTIONS, ...VALID_SYSTEM_CONFIGS]
@@ -45,6 +57,7 @@ interface SingleConfigUpdate {
   configKey: string
   configValue: Record<string, unknown>
   description?: string
+  reason?: string
 }
 
 interface UpdateConfigPayload {
@@ -58,6 +71,7 @@ interface UpdateConfigPayload {
 
   // Common options
   updatedBy?: string
+  reason?: string  // Why the change was made, kept in the config history
 
   // Propagation options
   propagate?: boolean  // If true, regenerate all case studies with new config
@@ -110,6 +124,8 @@ function validatePayload(payload: UpdateConfigPayload): ValidationResult {
 
     if (typeof payload.configValue !== 'object' || payload.configValue === null) {
       errors.push('configValue must be a JSON object')
+    } else {
+      errors.push(...validateConfigValue(payload.configKey!, payload.configValue))
     }
   }
 
@@ -130,6 +146,8 @@ function validatePayload(payload: UpdateConfigPayload): ValidationResult {
 
       if (!config.configValue || typeof config.configValue !== 'object') {
         errors.push(`configs[${i}]: configValue must be a JSON object`)
+      } else {
+        errors.push(...validateConfigValue(config.configKey, config.configValue).map(e => `configs[${i}]: ${e}`))
       }
     }
   }
@@ -177,9 +195,10 @@ Deno.serve(async (req) => {
               configKey: 'string (required)',
               configValue: '{ content: "..." } (required)',
               description: 'string (optional)',
+              reason: 'string (optional) - kept in the config history',
             },
             multipleConfigs: {
-              configs: '[{ configKey, configValue, description? }, ...]',
+              configs: '[{ configKey, configValue, description?, reason? }, ...]',
             },
             propagation: {
               propagate: 'boolean - regenerate all case studies with new config',
@@ -194,12 +213,12 @@ Deno.serve(async (req) => {
       )
     }
 
-    const { updatedBy = 'api', propagate = false, propagateOptions } = payload
+    const { updatedBy = 'api', reason = null, propagate = false, propagateOptions } = payload
 
     // Determine if single or multiple mode
     const configsToUpdate: SingleConfigUpdate[] = payload.configs
       ? payload.configs
-      : [{ configKey: payload.configKey!, configValue: payload.configValue!, description: payload.description }]
+      : [{ configKey: payload.configKey!, configValue: payload.configValue!, description: payload.description, reason: payload.reason }]
 
     // Process each config update
     const results: {
@@ -243,6 +262,17 @@ Deno.serve(async (req) => {
         if (updateError) {
           results.failed.push({ key: config.configKey, error: updateError.message })
         } else {
+          const { error: historyError } = await supabase.rpc('record_config_version', {
+            p_key: config.configKey,
+            p_changed_by: updatedBy,
+            p_change_reason: config.reason ?? reason,
+            p_change_type: 'update',
+          })
+
+          if (historyError) {
+            console.error(`Failed to record history for "${config.configKey}":`, historyError)
+          }
+
           results.updated.push({
             key: config.configKey,
             previousVersion: currentConfig.version,
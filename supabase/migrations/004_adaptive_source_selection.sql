@@ -0,0 +1,15 @@
+-- =====================================================
+-- MIGRATION: 004_adaptive_source_selection.sql
+-- =====================================================
+-- Records which source the generator picked and why.
+-- The generator chooses the source with the largest shortfall in the
+-- upcoming buffer and falls back to the day-of-week rotation.
+-- =====================================================
+
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS source_type source_type;
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS selection_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_generation_logs_source_type ON generation_logs(source_type, created_at);
+
+COMMENT ON COLUMN generation_logs.source_type IS 'Source the case was generated from';
+COMMENT ON COLUMN generation_logs.selection_reason IS 'Why the source selector picked this source (buffer shortfall, day-of-week fallback, or forced)';
@@ -0,0 +1,30 @@
+-- =====================================================
+-- MIGRATION: 005_generation_checkpoints.sql
+-- =====================================================
+-- Stores the output of each generation pipeline stage
+-- (fetch, transform, dedupe, visuals, save) on its log row so
+-- `run-generator.js --resume=<logId>` can continue a failed run
+-- without re-fetching or re-prompting the model.
+-- =====================================================
+
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS checkpoint JSONB DEFAULT '{}';
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS last_completed_stage VARCHAR(20);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'generation_logs_last_completed_stage_check'
+  ) THEN
+    ALTER TABLE generation_logs
+      ADD CONSTRAINT generation_logs_last_completed_stage_check
+      CHECK (last_completed_stage IS NULL OR last_completed_stage IN (
+        'fetch', 'transform', 'dedupe', 'visuals', 'save'
+      ));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_generation_logs_resumable ON generation_logs(status, last_completed_stage)
+  WHERE status IN ('failed', 'processing');
+
+COMMENT ON COLUMN generation_logs.checkpoint IS 'JSON: output of each completed pipeline stage, keyed by stage name';
+COMMENT ON COLUMN generation_logs.last_completed_stage IS 'Last pipeline stage that finished successfully';
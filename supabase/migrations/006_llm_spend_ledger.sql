@@ -0,0 +1,66 @@
+-- =====================================================
+-- MIGRATION: 006_llm_spend_ledger.sql
+-- =====================================================
+-- Records the tokens and cost of every LLM call and adds
+-- daily/monthly spend caps (config key llm_spend_caps) that the
+-- generator checks before each call. When a cap would be exceeded
+-- it downgrades to a cheaper model or refuses the call.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS llm_spend_ledger (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  generation_log_id UUID REFERENCES generation_logs(id) ON DELETE SET NULL,
+
+  -- What was called
+  model VARCHAR(100) NOT NULL,
+  requested_model VARCHAR(100), -- Set when the governor downgraded the call
+  purpose VARCHAR(50) NOT NULL DEFAULT 'transform',
+
+  -- Usage
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd DECIMAL(10, 6) NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_spend_ledger_created_at ON llm_spend_ledger(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_spend_ledger_log ON llm_spend_ledger(generation_log_id);
+
+COMMENT ON TABLE llm_spend_ledger IS 'One row per LLM call: model, tokens and cost';
+COMMENT ON COLUMN llm_spend_ledger.requested_model IS 'Model the caller asked for, when the spend governor substituted a cheaper one';
+
+-- Total spend since a point in time
+CREATE OR REPLACE FUNCTION get_llm_spend(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  calls INTEGER,
+  total_tokens BIGINT,
+  cost_usd DECIMAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    COUNT(*)::INTEGER as calls,
+    COALESCE(SUM(l.total_tokens), 0)::BIGINT as total_tokens,
+    COALESCE(SUM(l.cost_usd), 0)::DECIMAL as cost_usd
+  FROM llm_spend_ledger l
+  WHERE l.created_at >= p_since;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE llm_spend_ledger ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to spend ledger" ON llm_spend_ledger;
+CREATE POLICY "Service role full access to spend ledger" ON llm_spend_ledger FOR ALL USING (auth.role() = 'service_role');
+
+-- Spend caps (null = no cap). Days and months are UTC.
+-- on_cap: 'downgrade' switches to downgrade_model when the configured
+-- model would exceed a cap; 'refuse' fails the call instead.
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('llm_spend_caps', 'threshold', '{"daily_tokens": null, "daily_usd": 1.00, "monthly_tokens": null, "monthly_usd": 20.00, "on_cap": "downgrade", "downgrade_model": "llama-3.1-8b-instant"}'::jsonb, 'Daily/monthly LLM token and dollar caps')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('llm_spend_caps', 'threshold', 'Daily/monthly LLM spend caps', false)
+ON CONFLICT (config_key) DO NOTHING;
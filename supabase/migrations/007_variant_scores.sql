@@ -0,0 +1,12 @@
+-- =====================================================
+-- MIGRATION: 007_variant_scores.sql
+-- =====================================================
+-- Stores the judge scores and per-variant costs of best-of-N
+-- generation (`run-generator.js --variants=N`) on the log row.
+-- Each variant and the judge call are also individual rows in
+-- llm_spend_ledger (purpose 'transform' / 'judge').
+-- =====================================================
+
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS variant_scores JSONB;
+
+COMMENT ON COLUMN generation_logs.variant_scores IS 'JSON: best-of-N judge scores, winner, and tokens/cost of every variant and the judge call (null for single-variant runs)';
@@ -0,0 +1,15 @@
+-- =====================================================
+-- MIGRATION: 008_llm_provider.sql
+-- =====================================================
+-- Selects the LLM provider the generator calls (config key
+-- llm_provider): groq, openai_compatible, ollama, llama_cpp or
+-- mock. LLM_PROVIDER in the environment overrides it per run.
+-- =====================================================
+
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('llm_provider', 'system', '{"value": "groq"}'::jsonb, 'LLM provider: groq, openai_compatible, ollama, llama_cpp or mock')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('llm_provider', 'system', 'LLM provider', false)
+ON CONFLICT (config_key) DO NOTHING;
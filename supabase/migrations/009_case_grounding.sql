@@ -0,0 +1,75 @@
+-- =====================================================
+-- MIGRATION: 009_case_grounding.sql
+-- =====================================================
+-- Stores the source grounding check on each case: the figures,
+-- dates and names in what_happened and whether the fetched source
+-- contains them. With grounding_policy.on_exceed = 'block', cases
+-- with too many unsupported claims are saved but never scheduled
+-- until a reviewer clears publication_blocked.
+-- =====================================================
+
+ALTER TABLE case_studies ADD COLUMN IF NOT EXISTS grounding JSONB;
+ALTER TABLE case_studies ADD COLUMN IF NOT EXISTS publication_blocked BOOLEAN DEFAULT false;
+ALTER TABLE case_studies ADD COLUMN IF NOT EXISTS blocked_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_case_studies_publication_blocked
+  ON case_studies(publication_blocked) WHERE publication_blocked = true;
+
+COMMENT ON COLUMN case_studies.grounding IS 'Claims from what_happened checked against the source: { claims, checked, unsupported, unsupportedRatio, blocked, reason }';
+COMMENT ON COLUMN case_studies.publication_blocked IS 'Kept out of scheduling until a reviewer clears it';
+COMMENT ON COLUMN case_studies.blocked_reason IS 'Why publication was blocked';
+
+-- Schedule next available case, skipping blocked ones
+CREATE OR REPLACE FUNCTION schedule_next_case(target_date DATE)
+RETURNS UUID AS $$
+DECLARE
+  case_id UUID;
+  target_source source_type;
+BEGIN
+  -- Determine which source type should be used for this day
+  SELECT s.source_type INTO target_source
+  FROM sources s
+  WHERE s.day_of_week = EXTRACT(DOW FROM target_date)
+    AND s.is_active = true
+  ORDER BY s.priority DESC
+  LIMIT 1;
+
+  -- Find an unscheduled case of the right type
+  SELECT cs.id INTO case_id
+  FROM case_studies cs
+  WHERE cs.scheduled_date IS NULL
+    AND NOT COALESCE(cs.publication_blocked, false)
+    AND cs.source_type = target_source
+  ORDER BY cs.created_at ASC
+  LIMIT 1;
+
+  -- If no matching type, get any unscheduled case
+  IF case_id IS NULL THEN
+    SELECT cs.id INTO case_id
+    FROM case_studies cs
+    WHERE cs.scheduled_date IS NULL
+      AND NOT COALESCE(cs.publication_blocked, false)
+    ORDER BY cs.created_at ASC
+    LIMIT 1;
+  END IF;
+
+  -- Schedule it
+  IF case_id IS NOT NULL THEN
+    UPDATE case_studies
+    SET scheduled_date = target_date,
+        is_published = true,
+        updated_at = NOW()
+    WHERE id = case_id;
+  END IF;
+
+  RETURN case_id;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('grounding_policy', 'threshold', '{"min_claims": 3, "max_unsupported_ratio": 0.3, "on_exceed": "flag"}'::jsonb, 'Source grounding: flag or block cases whose what_happened claims are missing from the source')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('grounding_policy', 'threshold', 'Source grounding policy', false)
+ON CONFLICT (config_key) DO NOTHING;
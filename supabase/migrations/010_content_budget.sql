@@ -0,0 +1,17 @@
+-- =====================================================
+-- MIGRATION: 010_content_budget.sql
+-- =====================================================
+-- Adds the content_budget config: how many tokens of fetched raw
+-- content go into the transform prompt. The generator fits content
+-- into whatever the context window leaves after the prompts and
+-- max_tokens, capped at max_content_tokens, keeping the most
+-- relevant paragraphs (or summarizing with on_overflow = summarize).
+-- =====================================================
+
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('content_budget', 'threshold', '{"max_content_tokens": 2000, "reserve_tokens": 500, "context_window": null, "on_overflow": "trim"}'::jsonb, 'Token budget for raw content in the transform prompt; trim or summarize when over')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('content_budget', 'threshold', 'Raw content token budget', false)
+ON CONFLICT (config_key) DO NOTHING;
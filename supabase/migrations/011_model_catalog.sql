@@ -0,0 +1,19 @@
+-- =====================================================
+-- MIGRATION: 011_model_catalog.sql
+-- =====================================================
+-- Adds the model_catalog config: per-model prices (USD per
+-- million tokens) and limits used to cost every LLM call, size
+-- the content budget and cap max_tokens. Models missing from the
+-- catalog use the provider's built-in figures.
+-- =====================================================
+
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('model_catalog', 'system', '{
+  "llama-3.3-70b-versatile": {"input": 0.59, "output": 0.79, "context_window": 131072, "max_output_tokens": 32768},
+  "llama-3.1-8b-instant": {"input": 0.05, "output": 0.08, "context_window": 131072, "max_output_tokens": 131072}
+}'::jsonb, 'Per-model input/output prices (USD per 1M tokens) and context limits')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('model_catalog', 'system', 'Per-model prices and limits', false)
+ON CONFLICT (config_key) DO NOTHING;
@@ -0,0 +1,23 @@
+-- =====================================================
+-- MIGRATION: 012_generation_params.sql
+-- =====================================================
+-- Adds the generation_params config: per-source-type transform
+-- settings (temperature, max_tokens, model, top_p, seed). The
+-- "default" entry applies to every source; a source's own entry
+-- overrides it. Unset values fall back to groq_model,
+-- groq_max_tokens and a temperature of 0.7.
+-- =====================================================
+
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('generation_params', 'system', '{
+  "default": {"temperature": 0.7},
+  "company_sec_filing": {"temperature": 0.4, "top_p": 0.9},
+  "historical_wikipedia": {"temperature": 0.6},
+  "historical_archive": {"temperature": 0.6},
+  "framework_classic": {"temperature": 0.9}
+}'::jsonb, 'Per-source transform settings: temperature, max_tokens, model, top_p, seed')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('generation_params', 'system', 'Per-source generation parameters', false)
+ON CONFLICT (config_key) DO NOTHING;
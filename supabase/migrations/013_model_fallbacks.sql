@@ -0,0 +1,39 @@
+-- =====================================================
+-- MIGRATION: 013_model_fallbacks.sql
+-- =====================================================
+-- Adds the model_fallbacks config: an ordered list of provider/
+-- model pairs a transform falls back to when its own model fails
+-- with one of the listed error classes (429s and 5xx by default).
+-- Records which provider and model actually produced each case,
+-- on the case and on its generation log, and the entries that
+-- failed before it.
+-- =====================================================
+
+ALTER TABLE case_studies ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(50);
+ALTER TABLE case_studies ADD COLUMN IF NOT EXISTS llm_model VARCHAR(100);
+
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(50);
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS llm_model VARCHAR(100);
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS model_fallbacks JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_case_studies_llm_model ON case_studies(llm_model);
+
+COMMENT ON COLUMN case_studies.llm_provider IS 'LLM provider that produced the content';
+COMMENT ON COLUMN case_studies.llm_model IS 'Model that produced the content, after any fallback or spend downgrade';
+COMMENT ON COLUMN generation_logs.llm_provider IS 'LLM provider that produced the transform';
+COMMENT ON COLUMN generation_logs.llm_model IS 'Model that produced the transform';
+COMMENT ON COLUMN generation_logs.model_fallbacks IS 'Chain entries that failed before it: [{ provider, model, errorClass, error }]';
+
+-- provider is optional and defaults to the active llm_provider.
+-- on lists error classes (http_429, http_5xx, network_error,
+-- network_timeout) that move to the next entry.
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('model_fallbacks', 'system', '{
+  "chain": [{"model": "llama-3.1-8b-instant"}],
+  "on": ["http_429", "http_5xx"]
+}'::jsonb, 'Ordered provider/model fallbacks for transforms on rate limits and outages')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('model_fallbacks', 'system', 'Model fallback chain', false)
+ON CONFLICT (config_key) DO NOTHING;
@@ -0,0 +1,53 @@
+-- =====================================================
+-- MIGRATION: 014_prompt_experiments.sql
+-- =====================================================
+-- Adds prompt experiments: the prompt_experiments config defines
+-- named A/B tests over prompt sections, each generation run is
+-- assigned one weighted variant per active experiment, and the
+-- assignment is stored on the generation log and the case.
+-- Adds case_feedback for reader ratings, which the experiment
+-- report compares alongside duplicate rate, validation failures
+-- and judge scores.
+-- =====================================================
+
+ALTER TABLE case_studies ADD COLUMN IF NOT EXISTS prompt_experiments JSONB;
+ALTER TABLE generation_logs ADD COLUMN IF NOT EXISTS prompt_experiments JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_case_studies_prompt_experiments ON case_studies USING GIN (prompt_experiments);
+CREATE INDEX IF NOT EXISTS idx_generation_logs_prompt_experiments ON generation_logs USING GIN (prompt_experiments);
+
+COMMENT ON COLUMN case_studies.prompt_experiments IS 'Prompt experiment -> variant the case was generated with';
+COMMENT ON COLUMN generation_logs.prompt_experiments IS 'Prompt experiment -> variant assigned to the run';
+
+-- Reader feedback, one row per rating
+CREATE TABLE IF NOT EXISTS case_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_study_id UUID NOT NULL REFERENCES case_studies(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_feedback_case ON case_feedback(case_study_id);
+
+COMMENT ON TABLE case_feedback IS 'Reader ratings (1-5) of published cases';
+
+ALTER TABLE case_feedback ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can submit feedback" ON case_feedback;
+CREATE POLICY "Anyone can submit feedback" ON case_feedback FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Service role full access to case feedback" ON case_feedback;
+CREATE POLICY "Service role full access to case feedback" ON case_feedback FOR ALL USING (auth.role() = 'service_role');
+
+-- No experiments by default. Example:
+-- {"intro_tone": {"active": true, "variants": {
+--   "control": {"weight": 1},
+--   "socratic": {"weight": 1, "sections": {"prompt_system_intro": "..."}}}}}
+INSERT INTO configurations (config_key, config_type, config_value, description) VALUES
+('prompt_experiments', 'system', '{}'::jsonb, 'Named A/B experiments over prompt sections, with weighted variants')
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('prompt_experiments', 'system', 'Prompt experiments', false)
+ON CONFLICT (config_key) DO NOTHING;
@@ -0,0 +1,20 @@
+-- =====================================================
+-- MIGRATION: 015_prompt_templates.sql
+-- =====================================================
+-- Prompt sections may now use template variables
+-- ({{source_type}}, {{company}}, {{target_question_type}},
+-- {{target_difficulty}}, {{seniority}}) and conditional blocks
+-- ({{#if ...}} / {{else if ...}} / {{else}} / {{/if}}), rendered
+-- per case when the prompt is assembled.
+-- Moves the per-source guidance that was hardcoded in the generator
+-- into the prompt_source_guidance section, editable through
+-- update-config.
+-- =====================================================
+
+INSERT INTO configurations (config_key, config_type, config_value, description, display_order) VALUES
+('prompt_source_guidance', 'prompt_section', '{"content": "## SOURCE GUIDANCE\n\n{{#if source_type == \"historical_wikipedia\"}}\nThis is a HISTORICAL case. Write as if the reader is facing the decision at the time it happened. The reader may know how things turned out, but the question should capture the uncertainty of the moment.\n{{else if source_type == \"historical_archive\"}}\nThis is a HISTORICAL case from archived news. Emphasize the uncertainty that existed at the time and what information was and wasn''t available.\n{{else if source_type == \"live_news_techcrunch\"}}\nThis is based on CURRENT NEWS. Frame it as a live scenario the reader could still influence.\n{{else if source_type == \"live_news_hackernews\"}}\nThis is based on CURRENT TECH NEWS. Connect it to broader industry trends and capture the technical and business tension.\n{{else if source_type == \"live_news_producthunt\"}}\nThis is about a NEW PRODUCT LAUNCH. Focus on go-to-market decisions, positioning and early traction.\n{{else if source_type == \"company_blog\"}}\nThis is from OFFICIAL COMPANY SOURCES. Find the interesting tension beneath the PR narrative. Consider what is NOT being said.\n{{else if source_type == \"company_earnings\"}}\nThis is from EARNINGS data. Extract the strategic decisions behind the numbers.\n{{else if source_type == \"company_sec_filing\"}}\nThis is from SEC FILINGS. Look for strategic decisions revealed in the financial data and risk factors.\n{{else if source_type == \"framework_classic\"}}\nThis is a CLASSIC PM FRAMEWORK case. Add a modern twist while teaching the framework through application.\n{{else if source_type == \"framework_book\"}}\nThis is from a BUSINESS BOOK. Extract the core teaching and make it interview-ready.\n{{else}}\nUse the source content to create an engaging interview case study.\n{{/if}}\n{{#if company}}\n\nKeep the case centered on {{company}}.\n{{/if}}"}'::jsonb, 'Per-source guidance (templated)', 15)
+ON CONFLICT (config_key) DO NOTHING;
+
+INSERT INTO valid_config_keys (config_key, config_type, description, is_required) VALUES
+('prompt_source_guidance', 'prompt_section', 'Per-source guidance', false)
+ON CONFLICT (config_key) DO NOTHING;
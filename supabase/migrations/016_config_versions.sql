@@ -0,0 +1,85 @@
+-- =====================================================
+-- MIGRATION: 016_config_versions.sql
+-- =====================================================
+-- Adds configuration history: every write to a config records a
+-- snapshot of its value in config_versions, with who made the
+-- change, why, and whether it was an edit or a rollback. The
+-- current value of every config is seeded as its baseline version.
+-- config_key has no foreign key, so a config's history outlives it
+-- when it is deleted.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS config_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  config_key VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  config_value JSONB NOT NULL,
+  change_type VARCHAR(20) NOT NULL DEFAULT 'update' CHECK (change_type IN (
+    'baseline', 'create', 'update', 'rollback', 'delete'
+  )),
+  change_reason TEXT,
+  restored_from_version INTEGER,
+  changed_by VARCHAR(100) DEFAULT 'system',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (config_key, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_config_versions_created_at ON config_versions(created_at DESC);
+
+COMMENT ON TABLE config_versions IS 'Value of each config at every version, for history, diffs and rollback';
+COMMENT ON COLUMN config_versions.restored_from_version IS 'For rollbacks, the version whose value was restored';
+
+ALTER TABLE config_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to config versions" ON config_versions;
+CREATE POLICY "Service role full access to config versions" ON config_versions FOR ALL USING (auth.role() = 'service_role');
+
+-- Snapshot a config's current row as a version
+-- History is never rewritten: a writer that didn't bump the version
+-- gets an error rather than overwriting the previous value. Recording
+-- the same version with the same value again is a no-op.
+CREATE OR REPLACE FUNCTION record_config_version(
+  p_key VARCHAR,
+  p_changed_by VARCHAR DEFAULT 'system',
+  p_change_reason TEXT DEFAULT NULL,
+  p_change_type VARCHAR DEFAULT 'update',
+  p_restored_from_version INTEGER DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  current_row configurations%ROWTYPE;
+  recorded_version INTEGER;
+BEGIN
+  SELECT * INTO current_row FROM configurations WHERE config_key = p_key;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Config "%" not found', p_key;
+  END IF;
+
+  INSERT INTO config_versions (
+    config_key, version, config_value, change_type, change_reason, restored_from_version, changed_by
+  ) VALUES (
+    current_row.config_key, current_row.version, current_row.config_value,
+    p_change_type, p_change_reason, p_restored_from_version, p_changed_by
+  )
+  ON CONFLICT (config_key, version) DO NOTHING
+  RETURNING version INTO recorded_version;
+
+  IF recorded_version IS NULL AND EXISTS (
+    SELECT 1 FROM config_versions
+    WHERE config_key = p_key AND version = current_row.version
+      AND config_value IS DISTINCT FROM current_row.config_value
+  ) THEN
+    RAISE EXCEPTION 'Version % of config "%" is already recorded with a different value; bump the version when writing',
+      current_row.version, p_key;
+  END IF;
+
+  RETURN current_row.version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Baseline: the value each config has today
+INSERT INTO config_versions (config_key, version, config_value, change_type, change_reason, changed_by, created_at)
+SELECT config_key, version, config_value, 'baseline', 'Value when history tracking was enabled',
+  COALESCE(created_by, 'system'), updated_at
+FROM configurations
+ON CONFLICT (config_key, version) DO NOTHING;